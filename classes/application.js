@@ -7,11 +7,11 @@ const HttpError = require('http-errors');
 const GraphqlApi = require('./graphql-api.js');
 const FilesApi = require('./files-api.js');
 const ScriptApi = require('./script-api.js');
-const HttpCache = require('./http-cache.js');
+const SubscriptionApi = require('./subscription-api');
 const Authentication = require('./authentication.js');
 
 class Application {
-  constructor({Config, Storage, Log}) {
+  constructor({Config, Storage, Log, HttpCache}) {
     const config = _.defaults(Config.get(), {
       port: 80,
       storage: {},
@@ -24,6 +24,9 @@ class Application {
       },
       script: {
         enabled: true
+      },
+      subscriptions: {
+        enabled: true
       }
     });
     this.app = new BlueGate({log: false});
@@ -42,7 +45,11 @@ class Application {
     if (config.script.enabled) {
       this.instances.script = new ScriptApi(this.app, this.storage, config.script);
     }
-    this.instances.httpCache = new HttpCache(this.app, this.storage, config.httpCache);
+    if (config.subscriptions.enabled) {
+      this.instances.subscriptions = new SubscriptionApi(this.app, this.storage, config.subscriptions, this.instances.authentication);
+    }
+    this.instances.httpCache = HttpCache;
+    this.instances.httpCache.addRoutes(this.app);
 
     this.app.error(request => {
       if (request.error instanceof HttpError.HttpError) {
@@ -73,11 +80,14 @@ class Application {
   }
 
   async shutdown() {
+    if (this.instances.subscriptions) {
+      await this.instances.subscriptions.closeAll();
+    }
     await this.app.close();
   }
 }
 
 Application.singleton = true;
-Application.require = ['Config', 'Storage', 'Log'];
+Application.require = ['Config', 'Storage', 'Log', 'HttpCache'];
 
 module.exports = Application;
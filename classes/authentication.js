@@ -41,41 +41,9 @@ class Authentication {
     this.password = new Password(this.options.password);
 
     app.authentication(request => {
-      let context = new Context();
-      let promise;
-      let admin = false;
-      const authnHeader = typeof request.headers.authorization === 'string' ? request.headers.authorization : '';
-
-      // Check Basic auth - used for admin tokens.
-      let parts = authnHeader.match(/^Basic (.+)$/);
-      if (parts) {
-        parts = new Buffer(parts[1], 'base64').toString().split(':');
-        const username = parts[0];
-        const password = parts[1];
-        if (this.options.admins[username] !== 'undefined' && this.password.isValid(this.options.admins[username], password)) {
-          // Authenticated as admin user.
-          // Allow execution of context-free queries.
-          context = undefined;
-          admin = true;
-        }
-      }
-
-      // Check Bearer token.
-      parts = authnHeader.match(/^Bearer (.+)$/);
-      if (parts) {
-        const fields = this.options.userFields.join(' ');
-        const query = '{token:listAuthnToken(token:$token){user{' + fields + '}}}';
-        const args = {token: parts[1]};
-        promise = storage.query(query, args).then(result => {
-          if (result.token.length === 0) {
-            throw new HttpError(401, 'Invalid access token');
-          }
-          context.setUser(result.token[0].user);
-        });
-      }
-      return Promise.resolve(promise).then(() => {
-        request.setParameter('context', context);
-        request.setParameter('admin', admin);
+      return this.authenticate(request.headers).then(result => {
+        request.setParameter('context', result.context);
+        request.setParameter('admin', result.admin);
       });
     });
 
@@ -115,6 +83,50 @@ class Authentication {
       }
     });
   }
+
+  /**
+   * Get the context for the credentials in the request headers.
+   *
+   * Resolves to an object with the "context" and the "admin" flag. The
+   * context is undefined for admins, which can execute context-free queries.
+   */
+  authenticate(headers) {
+    let context = new Context();
+    let promise;
+    let admin = false;
+    const authnHeader = typeof headers.authorization === 'string' ? headers.authorization : '';
+
+    // Check Basic auth - used for admin tokens.
+    let parts = authnHeader.match(/^Basic (.+)$/);
+    if (parts) {
+      parts = new Buffer(parts[1], 'base64').toString().split(':');
+      const username = parts[0];
+      const password = parts[1];
+      if (this.options.admins[username] !== 'undefined' && this.password.isValid(this.options.admins[username], password)) {
+        // Authenticated as admin user.
+        // Allow execution of context-free queries.
+        context = undefined;
+        admin = true;
+      }
+    }
+
+    // Check Bearer token.
+    parts = authnHeader.match(/^Bearer (.+)$/);
+    if (parts) {
+      const fields = this.options.userFields.join(' ');
+      const query = '{token:listAuthnToken(token:$token){user{' + fields + '}}}';
+      const args = {token: parts[1]};
+      promise = this.storage.query(query, args).then(result => {
+        if (result.token.length === 0) {
+          throw new HttpError(401, 'Invalid access token');
+        }
+        context.setUser(result.token[0].user);
+      });
+    }
+    return Promise.resolve(promise).then(() => {
+      return {context, admin};
+    });
+  }
 }
 
 module.exports = Authentication;
@@ -0,0 +1,63 @@
+'use strict';
+
+const _ = require('lodash');
+const HttpError = require('http-errors');
+
+/**
+ * @doc internals/storage/circuit-breaker
+ * @title Circuit breaker
+ *
+ * Databases using the Http engine stop sending requests to an upstream
+ * server that keeps failing. After ``threshold`` consecutive failures
+ * (network errors, timeouts and 5xx responses) all requests fail
+ * immediately with a 503 error during ``resetTimeout`` milliseconds.
+ * Requests are allowed again after this period. The first successful
+ * request resets the failure count, a failure opens the circuit again.
+ * Settings are read from the ``circuitBreaker`` property of the database.
+ */
+class CircuitBreaker {
+  constructor(config) {
+    this.config = _.defaults(_.clone(config || {}), {
+      threshold: 5,
+      resetTimeout: 30000
+    });
+    this.failures = 0;
+    this.openUntil = 0;
+  }
+
+  isOpen() {
+    return this.failures >= this.config.threshold && Date.now() < this.openUntil;
+  }
+
+  /**
+   * Call function if the circuit is closed.
+   *
+   * @param Function fn
+   *   Function returning a promise. Rejections with an error that has the
+   *   "retryable" flag are counted as failures.
+   *
+   * @return Promise
+   */
+  call(fn) {
+    if (this.isOpen()) {
+      return Promise.reject(new HttpError(503, 'Upstream service unavailable', {expose: true}));
+    }
+    return Promise.resolve().then(fn).then(result => {
+      this.failures = 0;
+      return result;
+    }, err => {
+      if (err.retryable) {
+        ++this.failures;
+        if (this.failures >= this.config.threshold) {
+          this.openUntil = Date.now() + this.config.resetTimeout;
+        }
+      } else {
+        // The upstream server is responding.
+        this.failures = 0;
+      }
+      throw err;
+    });
+  }
+}
+
+module.exports = CircuitBreaker;
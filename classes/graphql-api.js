@@ -1,5 +1,6 @@
 'use strict';
 
+const _ = require('lodash');
 const HttpError = require('http-errors');
 
 class GraphqlApi {
@@ -15,23 +16,46 @@ class GraphqlApi {
         if (err.message === 'Query error: Permission denied') {
           throw new HttpError(403);
         }
-        throw err;
+        return this.getErrorResponse(err);
       });
     });
     app.process('POST /graphql', (request, context) => {
       const query = request.body.query;
       let args = request.body.variables;
+      let operationName = request.body.operationName;
       if (typeof query !== 'string') {
         throw new HttpError(400, 'Query missing or invalid');
       }
-      if (typeof args !== 'object') {
+      if (typeof args !== 'object' || args === null) {
         args = {};
       }
-      return this.storage.query(query, context, args).then(response => {
+      if (typeof operationName !== 'string') {
+        operationName = undefined;
+      }
+      return this.storage.query(query, context, args, operationName).then(response => {
         return {data: response};
+      }).catch(err => {
+        return this.getErrorResponse(err);
       });
     });
   }
+
+  /**
+   * Get the response for a query that failed.
+   *
+   * When some fields succeeded, the response has the data of all fields and
+   * the errors of the failed fields. Otherwise the error is thrown, with the
+   * data in the error response when available.
+   */
+  getErrorResponse(err) {
+    if (err.partial) {
+      return {data: err.data, errors: err.errors};
+    }
+    if (typeof err.data !== 'undefined') {
+      err.body = _.assign({data: err.data}, err.body);
+    }
+    throw err;
+  }
 }
 
 module.exports = GraphqlApi;
@@ -0,0 +1,162 @@
+'use strict';
+
+const QueryString = require('querystring');
+const Url = require('url');
+
+const _ = require('lodash');
+const fetch = require('node-fetch');
+
+/**
+ * @doc internals/storage/http-auth
+ * @title Upstream authentication
+ *
+ * Databases using the Http engine can add credentials to all requests.
+ * Static headers are set with the ``headers`` property. The ``auth``
+ * property selects one of the following types:
+ * * apiKey
+ *   Adds the key ``value`` as query parameter or header (set ``in`` to
+ *   "query" or "header") named ``name``.
+ * * basic
+ *   HTTP Basic authentication with ``username`` and ``password``.
+ * * oauth2
+ *   OAuth2 client credentials grant. Requests an access token from
+ *   ``tokenUri`` using ``clientId``, ``clientSecret`` and the optional
+ *   ``scope``. The token is cached until it expires or until the server
+ *   rejects it with a 401 response.
+ */
+class HttpAuth {
+  constructor(database) {
+    this.headers = _.clone(database.headers || {});
+    this.config = _.defaults(_.clone(database.auth || {}), {
+      type: null
+    });
+
+    const types = [null, 'apiKey', 'basic', 'oauth2'];
+    if (types.indexOf(this.config.type) < 0) {
+      throw new Error(`Unknown authentication type "${this.config.type}"`);
+    }
+    if (this.config.type === 'apiKey') {
+      this.config = _.defaults(this.config, {
+        in: 'query',
+        name: 'key'
+      });
+    }
+    if (this.config.type === 'oauth2') {
+      if (typeof this.config.tokenUri !== 'string') {
+        throw new Error('Missing tokenUri for oauth2 authentication');
+      }
+      // Request a new token this many seconds before it expires.
+      this.config = _.defaults(this.config, {
+        expiryMargin: 30
+      });
+    }
+
+    this.token = null;
+    this.expires = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Add credentials to request.
+   *
+   * @param string uri
+   *   Request uri.
+   * @param object options
+   *   Options for fetch().
+   *
+   * @return Promise
+   *   Promise for an object with the new uri and options.
+   */
+  apply(uri, options) {
+    options = _.clone(options || {});
+    options.headers = _.assign({}, this.headers, options.headers);
+    const type = this.config.type;
+    if (type === 'apiKey' && this.config.in === 'header') {
+      options.headers[this.config.name] = this.config.value;
+    }
+    if (type === 'apiKey' && this.config.in === 'query') {
+      const parts = Url.parse(uri, true);
+      parts.query[this.config.name] = this.config.value;
+      delete parts.search;
+      uri = Url.format(parts);
+    }
+    if (type === 'basic') {
+      const credentials = `${this.config.username}:${this.config.password}`;
+      options.headers.Authorization = 'Basic ' + Buffer.from(credentials).toString('base64');
+    }
+    if (type === 'oauth2') {
+      return this.getToken().then(token => {
+        options.headers.Authorization = `Bearer ${token}`;
+        return {uri, options};
+      });
+    }
+    return Promise.resolve({uri, options});
+  }
+
+  /**
+   * Indicates if credentials can be renewed after a 401 response.
+   */
+  canRefresh() {
+    return this.config.type === 'oauth2';
+  }
+
+  /**
+   * Forget the cached access token.
+   */
+  invalidate() {
+    this.token = null;
+    this.expires = 0;
+  }
+
+  getToken() {
+    if (this.token !== null && Date.now() < this.expires) {
+      return Promise.resolve(this.token);
+    }
+    if (this.pending === null) {
+      // Share a single token request between simultaneous requests.
+      this.pending = this.requestToken().then(token => {
+        this.pending = null;
+        return token;
+      }, err => {
+        this.pending = null;
+        throw err;
+      });
+    }
+    return this.pending;
+  }
+
+  requestToken() {
+    const body = {
+      grant_type: 'client_credentials',
+      client_id: this.config.clientId,
+      client_secret: this.config.clientSecret
+    };
+    if (this.config.scope) {
+      body.scope = this.config.scope;
+    }
+    // Token requests do not use the HttpCache. A cached token could not be refreshed.
+    return fetch(this.config.tokenUri, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: QueryString.stringify(body)
+    }).then(response => {
+      if (response.status >= 300) {
+        throw new Error('Unable to obtain access token: ' + response.status);
+      }
+      return response.json();
+    }).then(result => {
+      if (typeof result.access_token !== 'string') {
+        throw new Error('Unable to obtain access token: no token in response');
+      }
+      this.token = result.access_token;
+      const lifetime = typeof result.expires_in === 'number' ? result.expires_in : 3600;
+      this.expires = Date.now() + (Math.max(lifetime - this.config.expiryMargin, 0) * 1e3);
+      return this.token;
+    });
+  }
+}
+
+module.exports = HttpAuth;
@@ -13,10 +13,8 @@ const HttpError = require('http-errors');
 const Fs = Bluebird.promisifyAll(_Fs);
 
 class HttpCache {
-  constructor(app, storage, config) {
-    this.app = app;
-    this.storage = storage;
-    this.config = _.defaults(config, {
+  constructor({Config}) {
+    this.config = _.defaults(Config.get('/httpCache'), {
       directory: '/tmp',
       keepLast: 10,
       hosts: {
@@ -30,7 +28,12 @@ class HttpCache {
     });
 
     this.lastRequests = [];
+  }
 
+  /**
+   * Add the /http-requests inspector to the application.
+   */
+  addRoutes(app) {
     app.authorisation('GET /http-requests', admin => {
       if (!admin) {
         throw new HttpError(403, 'Permission denied');
@@ -46,6 +49,10 @@ class HttpCache {
     const method = (options || {}).method || 'GET';
     const hostname = Url.parse(url).hostname;
     const config = this.config.hosts[hostname];
+    if ((options || {}).noCache) {
+      // Requests that must always be sent, such as writes by engines.
+      return 0;
+    }
     if (typeof config === 'undefined') {
       // Caching is not enabled for this host.
       return 0;
@@ -57,11 +64,16 @@ class HttpCache {
     return config.ttl;
   }
 
+  /**
+   * Fetch url, or get the response from the cache.
+   *
+   * Requests with the "noCache" option are never read from the cache.
+   */
   fetch(url, options) {
-    const ttl = this.getTtl(url);
+    const ttl = this.getTtl(url, options);
     if (!ttl) {
-      // Not cacheable.
-      return fetch(url, options);
+      // Not cacheable, but still added to the last requests.
+      return this.fetchAndWriteToCache(url, options);
     }
     return this.readCache(url, options).then(cache => {
       if (typeof cache !== 'undefined') {
@@ -154,7 +166,7 @@ class HttpCache {
   }
 
   writeCache(url, options, raw) {
-    const ttl = this.getTtl(url);
+    const ttl = this.getTtl(url, options);
     if (ttl) {
       const filename = this.getCacheFilename(url, options);
       return Fs.writeFileAsync(filename, raw);
@@ -162,7 +174,7 @@ class HttpCache {
   }
 
   readCache(url, options) {
-    const ttl = this.getTtl(url);
+    const ttl = this.getTtl(url, options);
     if (!ttl) {
       // Caching is not enabled. Skip file lookup.
       return;
@@ -187,4 +199,7 @@ class HttpCache {
   }
 }
 
+HttpCache.singleton = true;
+HttpCache.require = ['Config'];
+
 module.exports = HttpCache;
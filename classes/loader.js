@@ -0,0 +1,56 @@
+'use strict';
+
+const Bluebird = require('bluebird');
+
+/**
+ * Batches loading of values by key.
+ *
+ * Keys requested in the same tick are collected and loaded with a single
+ * call to the batch function. The batch function gets the list of unique
+ * keys and resolves to a list with the value for each key, in the same
+ * order. Values that are errors reject the promise for that key only.
+ * Values are not cached after the batch is loaded, as data may change
+ * within a query.
+ */
+class Loader {
+  constructor(batch) {
+    this.batch = batch;
+    this.queue = null;
+  }
+
+  load(key) {
+    if (this.queue === null) {
+      this.queue = new Map();
+      setImmediate(() => this.dispatch());
+    }
+    if (!this.queue.has(key)) {
+      const request = {};
+      request.promise = new Bluebird((resolve, reject) => {
+        request.resolve = resolve;
+        request.reject = reject;
+      });
+      this.queue.set(key, request);
+    }
+    return this.queue.get(key).promise;
+  }
+
+  dispatch() {
+    const queue = this.queue;
+    const keys = Array.from(queue.keys());
+    this.queue = null;
+    return Bluebird.try(() => this.batch(keys)).then(values => {
+      keys.forEach((key, index) => {
+        const value = values[index];
+        if (value instanceof Error) {
+          queue.get(key).reject(value);
+        } else {
+          queue.get(key).resolve(value);
+        }
+      });
+    }).catch(err => {
+      queue.forEach(request => request.reject(err));
+    });
+  }
+}
+
+module.exports = Loader;
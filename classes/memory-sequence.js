@@ -0,0 +1,26 @@
+'use strict';
+
+const Ids = require('./ids');
+
+class MemorySequence {
+  /**
+   * Initialize sequence.
+   *
+   * @param string name
+   *   Sequence name, which is the model name.
+   * @param object counters
+   *   Object with the last value per sequence name. May be shared
+   *   between sequences to persist all counters together.
+   */
+  constructor(name, counters) {
+    this.name = name;
+    this.counters = counters || {};
+  }
+
+  get() {
+    this.counters[this.name] = (this.counters[this.name] || 0) + 1;
+    return Promise.resolve(new Ids(this.counters[this.name]).id);
+  }
+}
+
+module.exports = MemorySequence;
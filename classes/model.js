@@ -5,6 +5,7 @@ const Promise = require('bluebird');
 const HttpError = require('http-errors');
 
 const Sequence = require('./sequence');
+const MemorySequence = require('./memory-sequence');
 const Ids = require('./ids');
 
 class Model {
@@ -18,8 +19,34 @@ class Model {
     this.accessMapping = modelData.accessMapping;
     this.fillDefaults = modelData.fillDefaults;
 
-    this.sequence = new Sequence(this.name, internalDatabase);
+    if (String(internalDatabase.engine).toLowerCase() === 'memory') {
+      // Allows running without Redis, i.e. for tests.
+      this.sequence = new MemorySequence(this.name);
+    } else {
+      this.sequence = new Sequence(this.name, internalDatabase);
+    }
     this.dummyId = new Ids(0).id;
+
+    // Engines that evaluate filter conditions in their list, count and
+    // subscribe methods set this flag. Others get equality filters only
+    // and conditions are applied in memory.
+    this.nativeConditions = false;
+
+    // Sort order for lists without a sort parameter. Engines for remote
+    // sources set this to null to keep the order of the source.
+    this.defaultSort = 'id';
+
+    // Ids of created items are taken from the sequence. Engines for sources
+    // that generate the ids themselves set this to false.
+    this.sequenceIds = true;
+
+    // Read-only fields that the engine adds to all items, in addition to
+    // the properties of the model.
+    this.engineProperties = {};
+
+    // Arguments that the engine accepts for reads, lists and counts, in
+    // addition to the filters on the properties of the model.
+    this.engineArguments = {};
   }
 
   ready() {
@@ -27,9 +54,19 @@ class Model {
   }
 
   executeCount(data) {
-    const filters = data;
+    const parsed = this.parseFilters(data);
     return Promise.resolve(this.ready()).then(() => {
-      return this.count(filters);
+      if (parsed.conditions.length === 0) {
+        return this.count(parsed.filters);
+      }
+      if (this.nativeConditions) {
+        return this.count(parsed.filters, parsed.conditions);
+      }
+      const fieldNames = _.union(['id'], this.getConditionFields(parsed.conditions));
+      const options = {limit: Number.MAX_SAFE_INTEGER, offset: 0, sort: 'id', ascending: true};
+      return Promise.resolve(this.list(parsed.filters, fieldNames, options)).then(items => {
+        return items.filter(item => this.matches(item, {}, parsed.conditions)).length;
+      });
     });
   }
   count() {
@@ -37,19 +74,114 @@ class Model {
   }
 
   executeList(data, fieldNames) {
+    const parsed = this.parseFilters(_.omit(data, ['limit', 'offset', 'sort']));
+    return Promise.resolve(this.ready()).then(() => {
+      return this.listItems(parsed.filters, parsed.conditions, fieldNames, this.getListOptions(data));
+    });
+  }
+
+  /**
+   * Get the options for the list operation from the list parameters.
+   */
+  getListOptions(data) {
     const limit = typeof data.limit === 'number' ? data.limit : 10;
     const offset = typeof data.offset === 'number' ? data.offset : 0;
-    const sort = typeof data.sort === 'string' ? data.sort.replace('!', '') : 'id';
-    const ascending = typeof data.sort === 'string' ? data.sort.substring(0, 1) !== '!' : true;
-    const filters = _.omit(data, ['limit', 'offset', 'sort']);
+    const sortParam = typeof data.sort === 'undefined' ? this.defaultSort : data.sort;
+    const order = sortParam === null ? null : this.parseSort(sortParam);
+    // Engines that only support a single sort key use "sort" and "ascending".
+    const sort = order === null ? null : order[0].field;
+    const ascending = order === null ? true : order[0].ascending;
+    return {limit, offset, sort, ascending, order};
+  }
+
+  /**
+   * List items with cursor-based pagination.
+   *
+   * Lists the "first" number of items after the "after" cursor, which is the
+   * "endCursor" of the previous page. The id is added as last sort key to
+   * make the order unique. Instead of using an offset, the items after the
+   * cursor are selected with conditions on the sort fields. Pages stay
+   * consistent when items are added and skipped items are not read.
+   *
+   * Resolves to an object with the "items", "endCursor" and "hasNextPage".
+   */
+  executePage(data, fieldNames) {
+    const first = typeof data.first === 'undefined' ? 10 : data.first;
+    const errors = [];
+    if (!Number.isInteger(first) || first < 1) {
+      errors.push({message: 'Parameter "first" must be a positive integer'});
+    }
+    if (typeof data.limit !== 'undefined' || typeof data.offset !== 'undefined') {
+      errors.push({message: 'Parameters "limit" and "offset" cannot be combined with "first" and "after"'});
+    }
+    const order = this.parseSort(typeof data.sort === 'undefined' ? 'id' : data.sort);
+    if (order.some(key => key.path.length > 1)) {
+      errors.push({message: 'Cursors cannot be used when sorting on nested fields'});
+    }
+    if (errors.length > 0) {
+      throw new HttpError(400, 'Invalid pagination', {errors});
+    }
+    if (!order.some(key => key.field === 'id')) {
+      order.push({field: 'id', path: ['id'], ascending: true});
+    }
+    const parsed = this.parseFilters(_.omit(data, ['first', 'after', 'sort']));
+    let conditions = parsed.conditions;
+    if (typeof data.after === 'string') {
+      conditions = _.concat(conditions, this.getCursorCondition(order, this.decodeCursor(data.after, order)));
+    } else if (typeof data.after !== 'undefined' && data.after !== null) {
+      throw new HttpError(400, 'Invalid cursor');
+    }
+    // Get one more item to find out if there is a next page.
+    const options = {limit: first + 1, offset: 0, sort: order[0].field, ascending: order[0].ascending, order};
+    const listFields = _.union(fieldNames, order.map(key => key.field));
     return Promise.resolve(this.ready()).then(() => {
-      return this.list(filters, fieldNames, {limit, offset, sort, ascending});
+      return this.listItems(parsed.filters, conditions, listFields, options);
+    }).then(items => {
+      const hasNextPage = items.length > first;
+      items = items.slice(0, first);
+      const endCursor = items.length > 0 ? this.encodeCursor(items[items.length - 1], order) : null;
+      return {items, endCursor, hasNextPage};
     });
   }
+
+  /**
+   * List items matching the filters and conditions.
+   *
+   * Engines without native conditions get all items matching the equality
+   * filters, after which the conditions are applied in memory.
+   */
+  listItems(filters, conditions, fieldNames, options) {
+    if (conditions.length === 0) {
+      return this.list(filters, fieldNames, options);
+    }
+    if (this.nativeConditions) {
+      return this.list(filters, fieldNames, _.assign({conditions}, options));
+    }
+    const listFields = _.union(fieldNames, this.getConditionFields(conditions));
+    const listOptions = _.assign({}, options, {limit: Number.MAX_SAFE_INTEGER, offset: 0});
+    return Promise.resolve(this.list(filters, listFields, listOptions)).then(items => {
+      items = items.filter(item => this.matches(item, {}, conditions));
+      return items.slice(options.offset, options.offset + options.limit);
+    });
+  }
+
   list() {
     throw new HttpError(400, `Operation "list" is not supported by model`);
   }
 
+  executeSubscribe(data, listener) {
+    const parsed = this.parseFilters(_.omit(data, ['limit', 'offset', 'sort', 'first', 'after']));
+    if (parsed.conditions.length > 0 && !this.nativeConditions) {
+      throw new HttpError(400, 'Filter operators are not supported in subscriptions on this model');
+    }
+    return Promise.resolve(this.ready()).then(() => {
+      return this.subscribe(parsed.filters, listener, parsed.conditions);
+    });
+  }
+  subscribe() {
+    throw new HttpError(400, `Operation "subscribe" is not supported by model`);
+  }
+
   executeRead(data, fieldNames) {
     const validation = this.validateKey(data);
     if (!validation.valid) {
@@ -63,6 +195,72 @@ class Model {
     throw new HttpError(400, `Operation "read" is not supported by model`);
   }
 
+  /**
+   * Read multiple items by id.
+   *
+   * Resolves to a list with the item or null for each id, in the same order.
+   * Invalid ids give an error in the list, which fails for that id only.
+   */
+  executeReadMany(ids, fieldNames) {
+    const errors = {};
+    ids.forEach(id => {
+      const validation = this.validateKey({id});
+      if (!validation.valid) {
+        errors[id] = new HttpError(400, 'Validation failed', {errors: this.translateErrors(validation.errors)});
+      }
+    });
+    const valid = ids.filter(id => typeof errors[id] === 'undefined');
+    return Promise.resolve(this.ready()).then(() => {
+      return valid.length > 0 ? this.readMany(valid, fieldNames) : [];
+    }).then(items => {
+      const byId = _.zipObject(valid, items);
+      return ids.map(id => typeof errors[id] === 'undefined' ? byId[id] : errors[id]);
+    });
+  }
+
+  /**
+   * Read multiple items by id.
+   *
+   * Engines that can fetch multiple items in a single request override this
+   * method. Resolves to a list with the item or null for each id.
+   */
+  readMany(ids, fieldNames) {
+    return Promise.all(ids.map(id => this.read({id}, fieldNames)));
+  }
+
+  /**
+   * List items for multiple values of a field.
+   *
+   * Gives the same results as listing the items for each value, with the
+   * field as equality filter in addition to the other parameters. The limit
+   * and offset apply to the items for each value. Resolves to a list with
+   * the items for each value, in the same order.
+   */
+  executeListMany(field, values, data, fieldNames) {
+    const parsed = this.parseFilters(_.omit(data, [field, 'limit', 'offset', 'sort']));
+    const unsupported = parsed.conditions.length > 0 && !this.nativeConditions;
+    if (unsupported || typeof data[`${field}_in`] !== 'undefined') {
+      return Promise.all(values.map(value => this.executeList(_.assign({}, data, {[field]: value}), fieldNames)));
+    }
+    const options = this.getListOptions(data);
+    if (parsed.conditions.length > 0) {
+      options.conditions = parsed.conditions;
+    }
+    return Promise.resolve(this.ready()).then(() => {
+      return values.length > 0 ? this.listMany(field, values, parsed.filters, fieldNames, options) : [];
+    });
+  }
+
+  /**
+   * List items for multiple values of a field.
+   *
+   * Lists the items for each value separately. Engines override this method
+   * to list the items for all values in a single request.
+   */
+  listMany(field, values, filters, fieldNames, options) {
+    return Promise.all(values.map(value => this.list(_.assign({}, filters, {[field]: value}), fieldNames, options)));
+  }
+
   executeCreate(data, fieldNames, dry) {
     // Treat nulls as "not provided". The nulls would otherwise raise "wrong type" errors.
     data = this.removeNulls(data);
@@ -76,9 +274,11 @@ class Model {
       return data;
     }
     return Promise.resolve(this.ready()).then(() => {
-      return this.sequence.get();
+      return this.sequenceIds ? this.sequence.get() : null;
     }).then(id => {
-      data.id = id;
+      if (id !== null) {
+        data.id = id;
+      }
       return this.create(data);
     });
   }
@@ -86,6 +286,35 @@ class Model {
     throw new HttpError(400, `Operation "create" is not supported by model`);
   }
 
+  /**
+   * Get the filters for the item that an upsert updates.
+   *
+   * Items are matched on the id when given. Otherwise, these are matched on
+   * the fields of the natural key, which is declared with the "naturalKey"
+   * property of the model. Returns null when the item must be created.
+   * The natural key is not enforced to be unique. A unique index on its
+   * fields in the database prevents duplicates when upserting from multiple
+   * processes.
+   */
+  getUpsertFilters(data) {
+    if (typeof data.id !== 'undefined' && data.id !== null) {
+      return {id: data.id};
+    }
+    if (typeof this.jsonSchema.naturalKey === 'undefined') {
+      return null;
+    }
+    const fields = _.concat([], this.jsonSchema.naturalKey);
+    const missing = fields.filter(field => typeof data[field] === 'undefined' || data[field] === null);
+    if (missing.length > 0) {
+      throw new HttpError(400, 'Validation failed', {
+        errors: missing.map(field => {
+          return {message: `Field "${field}" is required to match the natural key`};
+        })
+      });
+    }
+    return _.pick(data, fields);
+  }
+
   executeUpdate(data, fieldNames, dry) {
     // Validate data, but without the undefined values.
     // Only ensure that these fields are not required fields.
@@ -134,6 +363,304 @@ class Model {
     throw new HttpError(400, `Operation "delete" is not supported by model`);
   }
 
+  /**
+   * Start a native transaction.
+   *
+   * Engines that support transactions start one with transaction.getHandle()
+   * and resolve to a copy of the model that executes all operations within
+   * it. Resolves to null otherwise, in which case changes are undone with
+   * compensating actions.
+   */
+  begin() {
+    return null;
+  }
+
+  /**
+   * Parse filters from list or count parameters.
+   *
+   * Parameters named after a field are equality filters. A field name
+   * followed by an operator suffix is a condition:
+   * * field_ne: not equal to
+   * * field_gt, field_gte, field_lt, field_lte: comparisons
+   * * field_in: equal to one of the values in the list
+   * * field_contains: string contains substring, or array contains value
+   * The "_or" parameter takes a list of objects with filters, of which
+   * at least one must match.
+   *
+   * Returns an object with the equality "filters" and the "conditions".
+   * Conditions are objects with "field", "operator" and "value". The
+   * "or" condition has a list of conditions per alternative in "value".
+   */
+  parseFilters(params) {
+    const errors = [];
+    const filters = {};
+    const conditions = [];
+    Object.keys(params).forEach(key => {
+      const value = params[key];
+      if (key === '_or') {
+        if (!(value instanceof Array) || value.some(branch => !_.isPlainObject(branch))) {
+          errors.push({message: 'Filter "_or" must be a list of objects'});
+          return;
+        }
+        const branches = value.map(branch => {
+          const parsed = this.parseFilters(branch);
+          const equalities = Object.keys(parsed.filters).map(field => {
+            if (typeof this.jsonSchema.properties[field] === 'undefined') {
+              errors.push({message: `Filter "_or" refers to unknown field "${field}"`});
+            }
+            return {field, operator: 'eq', value: parsed.filters[field]};
+          });
+          return _.concat(equalities, parsed.conditions);
+        });
+        conditions.push({operator: 'or', value: branches});
+        return;
+      }
+      const match = key.match(new RegExp(`^(.+)_(${Model.filterOperators.join('|')})$`));
+      if (!match || typeof this.jsonSchema.properties[key] !== 'undefined') {
+        // Unknown parameters are passed as is. These may be used by the engine.
+        filters[key] = value;
+        return;
+      }
+      const field = match[1];
+      const operator = match[2];
+      const error = this.validateCondition(field, operator, value);
+      if (error) {
+        errors.push({message: `Filter "${key}" ${error}`});
+        return;
+      }
+      conditions.push({field, operator, value});
+    });
+    if (errors.length > 0) {
+      throw new HttpError(400, 'Invalid filters', {errors});
+    }
+    return {filters, conditions};
+  }
+
+  validateCondition(field, operator, value) {
+    const schema = this.jsonSchema.properties[field];
+    if (typeof schema === 'undefined') {
+      return `refers to unknown field "${field}"`;
+    }
+    const isValid = value => {
+      const checks = {
+        string: _.isString,
+        integer: Number.isInteger,
+        number: _.isNumber,
+        boolean: _.isBoolean,
+        array: _.isArray,
+        object: _.isPlainObject
+      };
+      return typeof checks[schema.type] === 'undefined' || checks[schema.type](value);
+    };
+    if (operator === 'in') {
+      if (!(value instanceof Array) || !value.every(isValid)) {
+        return `must be a list of ${schema.type} values`;
+      }
+    } else if (operator === 'contains') {
+      if (schema.type === 'string' && !_.isString(value)) {
+        return 'must be a string';
+      }
+      if (schema.type !== 'string' && schema.type !== 'array') {
+        return 'can only be used on string and array fields';
+      }
+    } else if (operator === 'ne') {
+      if (value !== null && !isValid(value)) {
+        return `must be of type ${schema.type}`;
+      }
+    } else {
+      if (['string', 'integer', 'number'].indexOf(schema.type) < 0) {
+        return 'can only be used on string and number fields';
+      }
+      if (!isValid(value)) {
+        return `must be of type ${schema.type}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse the sort parameter of a list operation.
+   *
+   * Takes a field name, or a list of field names which are applied in order.
+   * Names prefixed with "!" are sorted descending. Properties of object
+   * fields are sorted on with a dotted path, i.e. "address.city".
+   *
+   * Returns a list of objects with the "field" name as given (without "!"),
+   * the "path" as a list of property names and the "ascending" flag.
+   */
+  parseSort(sort) {
+    const keys = sort instanceof Array ? sort : [sort];
+    const errors = [];
+    if (keys.length === 0) {
+      errors.push({message: 'Sort must contain at least one field'});
+    }
+    const order = keys.map(key => {
+      if (typeof key !== 'string') {
+        errors.push({message: 'Sort keys must be strings'});
+        return null;
+      }
+      const ascending = key.substring(0, 1) !== '!';
+      const field = ascending ? key : key.substring(1);
+      const path = field.split('.');
+      const error = this.validateSortPath(path);
+      if (error) {
+        errors.push({message: `Unable to sort on ${error}`});
+      }
+      return {field, path, ascending};
+    });
+    if (errors.length > 0) {
+      throw new HttpError(400, 'Invalid sort', {errors});
+    }
+    return order;
+  }
+
+  validateSortPath(path) {
+    const field = path.join('.');
+    let schema = {type: 'object', properties: this.jsonSchema.properties};
+    for (let i = 0; i < path.length; ++i) {
+      if (schema.type !== 'object') {
+        return `property "${path[i]}" of non-object field "${path.slice(0, i).join('.')}"`;
+      }
+      if (typeof schema.properties === 'undefined') {
+        // Object without a schema for its properties.
+        return null;
+      }
+      schema = schema.properties[path[i]];
+      if (typeof schema === 'undefined') {
+        return `unknown field "${field}"`;
+      }
+    }
+    if (schema.type === 'object' || schema.type === 'array') {
+      return `${schema.type} field "${field}"`;
+    }
+    return null;
+  }
+
+  /**
+   * Sort items in memory on the order from parseSort().
+   *
+   * Missing values and nulls come last when sorting ascending. Items are
+   * returned as is when the order is null.
+   */
+  sortItems(items, order) {
+    if (order === null) {
+      return items;
+    }
+    const iteratees = order.map(key => item => {
+      const value = _.get(item, key.path);
+      return typeof value === 'undefined' ? null : value;
+    });
+    return _.orderBy(items, iteratees, order.map(key => key.ascending ? 'asc' : 'desc'));
+  }
+
+  /**
+   * Get an opaque cursor pointing at the item.
+   *
+   * The cursor holds the sort keys and the values of the item for these.
+   */
+  encodeCursor(item, order) {
+    const keys = order.map(key => (key.ascending ? '' : '!') + key.field);
+    const values = order.map(key => typeof item[key.field] === 'undefined' ? null : item[key.field]);
+    return Buffer.from(JSON.stringify([keys, values])).toString('base64');
+  }
+
+  /**
+   * Get the values of the sort fields from the cursor.
+   */
+  decodeCursor(cursor, order) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64').toString());
+    } catch (err) {
+      throw new HttpError(400, 'Invalid cursor');
+    }
+    const keys = order.map(key => (key.ascending ? '' : '!') + key.field);
+    if (!(decoded instanceof Array) || !_.isEqual(decoded[0], keys) || !(decoded[1] instanceof Array)) {
+      throw new HttpError(400, 'Invalid cursor', {errors: [{message: 'Cursor does not match the sort order'}]});
+    }
+    return decoded[1];
+  }
+
+  /**
+   * Get the condition for items after the cursor values.
+   *
+   * An item comes after the cursor when it has the same values for the first
+   * sort fields and a greater (or lesser when descending) value for the next.
+   * Engines list nulls last in ascending order, as in sortItems(), and sort
+   * on all keys in options.order, which end with the id.
+   */
+  getCursorCondition(order, values) {
+    const branches = [];
+    order.forEach((key, index) => {
+      const equalities = order.slice(0, index).map((previous, i) => {
+        return {field: previous.field, operator: 'eq', value: values[i]};
+      });
+      if (values[index] === null && key.ascending) {
+        // No values come after null.
+        return;
+      }
+      if (values[index] === null) {
+        branches.push(_.concat(equalities, {field: key.field, operator: 'ne', value: null}));
+        return;
+      }
+      if (key.ascending) {
+        const after = [[{field: key.field, operator: 'gt', value: values[index]}], [{field: key.field, operator: 'eq', value: null}]];
+        branches.push(_.concat(equalities, {operator: 'or', value: after}));
+        return;
+      }
+      branches.push(_.concat(equalities, {field: key.field, operator: 'lt', value: values[index]}));
+    });
+    return {operator: 'or', value: branches};
+  }
+
+  /**
+   * Get names of all fields used in conditions.
+   */
+  getConditionFields(conditions) {
+    return _.uniq(_.flatten(conditions.map(condition => {
+      if (condition.operator === 'or') {
+        return _.flatten(condition.value.map(branch => this.getConditionFields(branch)));
+      }
+      return [condition.field];
+    })));
+  }
+
+  /**
+   * Check if item matches the equality filters and conditions.
+   */
+  matches(item, filters, conditions) {
+    const getValue = key => typeof item[key] === 'undefined' ? null : item[key];
+    const matchesFilters = Object.keys(filters).every(key => _.isEqual(getValue(key), filters[key]));
+    return matchesFilters && (conditions || []).every(condition => {
+      const value = getValue(condition.field);
+      switch (condition.operator) {
+        case 'or':
+          return condition.value.some(branch => this.matches(item, {}, branch));
+        case 'eq':
+          return _.isEqual(value, condition.value);
+        case 'ne':
+          return !_.isEqual(value, condition.value);
+        case 'gt':
+          return value !== null && value > condition.value;
+        case 'gte':
+          return value !== null && value >= condition.value;
+        case 'lt':
+          return value !== null && value < condition.value;
+        case 'lte':
+          return value !== null && value <= condition.value;
+        case 'in':
+          return condition.value.some(option => _.isEqual(value, option));
+        case 'contains':
+          if (value instanceof Array) {
+            return value.some(element => _.isEqual(element, condition.value));
+          }
+          return typeof value === 'string' && value.indexOf(condition.value) >= 0;
+        default:
+          return false;
+      }
+    });
+  }
+
   removeNulls(input) {
     const data = _.clone(input);
     Object.keys(data).forEach(key => {
@@ -153,8 +680,7 @@ class Model {
       if (error.message) {
         message += error.message;
       }
-      // @todo: The error object should include a path component.
-      // @see http://facebook.github.io/graphql/#sec-Data
+      // The path and locations are added by the query.
       return {
         message
       };
@@ -162,4 +688,6 @@ class Model {
   }
 }
 
+Model.filterOperators = ['ne', 'gte', 'gt', 'lte', 'lt', 'in', 'contains'];
+
 module.exports = Model;
@@ -7,6 +7,7 @@ const Yaml = require('js-yaml');
 const _ = require('lodash');
 const globby = require('globby');
 
+const Schema = require('./schema');
 const Script = require('./script');
 
 class Models {
@@ -15,6 +16,8 @@ class Models {
     this.storage = storage;
     this.scriptsDir = options.scriptsDir;
     this.databases = options.databases;
+    this.queryConcurrency = options.queryConcurrency;
+    this.limits = options.limits;
     this.engines = {};
     this.instances = {};
     this.plugins = {};
@@ -22,13 +25,15 @@ class Models {
     this.pluginFields = {};
     this.preprocessors = {};
     this.postprocessors = {};
+    this.transaction = null;
 
     this.ready = new Promise(resolve => {
       globby([Path.join(__dirname, '../engines/**/*.js')]).then(files => {
         files.forEach(file => {
           const load = require;
           const engine = load(file);
-          this.engines[engine.name] = engine;
+          // Engine names are case insensitive.
+          this.engines[engine.name.toLowerCase()] = engine;
         });
         Object.keys(models).forEach(name => {
           const databaseName = this.models[name].database;
@@ -36,9 +41,9 @@ class Models {
             throw new Error('Unknown database ' + databaseName + ' in model ' + name);
           }
           const database = this.databases[databaseName];
-          const engine = database.engine;
+          const engine = String(database.engine).toLowerCase();
           if (typeof this.engines[engine] === 'undefined') {
-            throw new Error('Unknown engine ' + engine + ' in database ' + databaseName);
+            throw new Error('Unknown engine ' + database.engine + ' in database ' + databaseName);
           }
           try {
             this.instances[name] = new this.engines[engine](this.models[name], database, this.databases.internal, this.storage);
@@ -108,6 +113,21 @@ class Models {
     });
   }
 
+  /**
+   * Get the models for queries within a transaction.
+   *
+   * Models are replaced by their copy in the transaction. Plugins pass the
+   * models to the queries they run, which thus take part in the transaction.
+   */
+  withTransaction(transaction) {
+    const models = Object.create(this);
+    models.transaction = transaction;
+    models.get = name => {
+      return this.get(name).then(model => transaction.getModel(model));
+    };
+    return models;
+  }
+
   getScript(name) {
     return this.ready.then(() => {
       if (typeof this.scripts[name] === 'undefined') {
@@ -127,6 +147,23 @@ class Models {
     return this.pluginFields[name].plugin.getValue(this, model, field, id, context);
   }
 
+  getPluginFieldValues(model, field, ids, context) {
+    const name = model.name + '.' + field.name;
+    return this.pluginFields[name].plugin.getValues(this, model, field, ids, context);
+  }
+
+  /**
+   * Get the GraphQL schema for all models.
+   */
+  getSchema() {
+    return this.ready.then(() => {
+      if (typeof this.schema === 'undefined') {
+        this.schema = new Schema(this);
+      }
+      return this.schema;
+    });
+  }
+
   getPreprocessors(model) {
     return this.preprocessors[model.name];
   }
@@ -0,0 +1,29 @@
+'use strict';
+
+const Ids = require('./ids');
+
+class MongoSequence {
+  /**
+   * Initialize sequence.
+   *
+   * @param string name
+   *   Sequence name, which is the model name.
+   * @param Promise db
+   *   Promise for a MongoDB database.
+   */
+  constructor(name, db) {
+    this.name = name;
+    this.db = db;
+  }
+
+  get() {
+    return Promise.resolve(this.db).then(db => {
+      const options = {upsert: true, returnOriginal: false};
+      return db.collection('_sequences').findOneAndUpdate({_id: this.name}, {$inc: {value: 1}}, options);
+    }).then(result => {
+      return new Ids(result.value.value).id;
+    });
+  }
+}
+
+module.exports = MongoSequence;
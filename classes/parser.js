@@ -1,13 +1,14 @@
 'use strict';
 
+const _ = require('lodash');
 const _graphqlLanguage = require('graphql/language');
 
 const extractValue = function(value, variables) {
   let output = null;
   if (value.kind === 'Variable') {
     const name = value.name.value;
-    if (typeof variables !== 'object' || typeof variables[name] === 'undefined') {
-      variables[name] = null;
+    if (typeof variables !== 'object' || variables === null || typeof variables[name] === 'undefined') {
+      return null;
     }
     return variables[name];
   }
@@ -15,15 +16,15 @@ const extractValue = function(value, variables) {
     output = {};
     value.fields.forEach(field => {
       const name = field.name.value;
-      const value = extractValue(field.value);
+      const value = extractValue(field.value, variables);
       output[name] = value;
     });
   } else if (value.kind === 'ListValue') {
     output = [];
     value.values.forEach(item => {
-      output.push(extractValue(item));
+      output.push(extractValue(item, variables));
     });
-  } else if (value.kind === 'StringValue') {
+  } else if (value.kind === 'StringValue' || value.kind === 'EnumValue') {
     output = value.value;
   } else if (value.kind === 'IntValue') {
     output = parseInt(value.value, 10);
@@ -35,12 +36,91 @@ const extractValue = function(value, variables) {
   return output;
 };
 
-const convert = function(definition, variables) {
-  const output = {};
+/**
+ * Get the operation to execute from a parsed document.
+ *
+ * The operation name is required when the document has multiple operations.
+ */
+const getOperation = function(document, operationName) {
+  const operations = document.definitions.filter(definition => definition.kind === 'OperationDefinition');
+  if (operationName) {
+    const operation = operations.find(operation => operation.name && operation.name.value === operationName);
+    if (typeof operation === 'undefined') {
+      throw new Error(`Unknown operation named "${operationName}".`);
+    }
+    return operation;
+  }
+  if (operations.length !== 1) {
+    throw new Error('Must provide operation name if query contains multiple operations.');
+  }
+  return operations[0];
+};
+
+/**
+ * Get the variable values, with the defaults from the operation.
+ */
+const getVariables = function(operation, variables) {
+  const output = Object.assign({}, variables);
+  (operation.variableDefinitions || []).forEach(definition => {
+    const name = definition.variable.name.value;
+    if (typeof output[name] === 'undefined' && definition.defaultValue) {
+      output[name] = extractValue(definition.defaultValue, {});
+    }
+  });
+  return output;
+};
+
+/**
+ * Check the @include and @skip directives on a selection.
+ */
+const isIncluded = function(selection, variables) {
+  return (selection.directives || []).every(directive => {
+    const name = directive.name.value;
+    if (name !== 'include' && name !== 'skip') {
+      return true;
+    }
+    const arg = directive.arguments.find(arg => arg.name.value === 'if');
+    const value = arg ? extractValue(arg.value, variables) === true : false;
+    return name === 'include' ? value : !value;
+  });
+};
+
+/**
+ * Add a field to the output, merging it with an earlier field for the same alias.
+ */
+const mergeField = function(output, alias, field) {
+  if (typeof output[alias] === 'undefined') {
+    output[alias] = field;
+    return;
+  }
+  const existing = output[alias];
+  existing.locations = _.concat(existing.locations, field.locations);
+  _.forEach(field.fields, (subfield, key) => mergeField(existing.fields, key, subfield));
+  existing.fieldNames = _.uniq(_.map(existing.fields, 'name'));
+};
+
+const convert = function(definition, variables, fragments, output) {
+  output = output || {};
   if (!definition.selectionSet) {
     return output;
   }
   definition.selectionSet.selections.forEach(field => {
+    if (!isIncluded(field, variables)) {
+      return;
+    }
+    if (field.kind === 'InlineFragment') {
+      // Type conditions always match, as each type is a model.
+      convert(field, variables, fragments, output);
+      return;
+    }
+    if (field.kind === 'FragmentSpread') {
+      const fragment = fragments[field.name.value];
+      if (typeof fragment === 'undefined') {
+        throw new Error(`Unknown fragment "${field.name.value}".`);
+      }
+      convert(fragment, variables, fragments, output);
+      return;
+    }
     const name = field.name.value;
     const alias = field.alias ? field.alias.value : name;
     const params = {};
@@ -49,20 +129,26 @@ const convert = function(definition, variables) {
       const value = extractValue(param.value, variables);
       params[name] = value;
     });
-    output[alias] = {name, params};
-    const fieldNames = {};
-    if (typeof field.selectionSet !== 'undefined') {
-      output[alias].fields = convert(field, variables);
-      Object.keys(output[alias].fields).forEach(field => {
-        fieldNames[output[alias].fields[field].name] = true;
-      });
-    }
-    output[alias].fieldNames = Object.keys(fieldNames);
+    const fields = convert(field, variables, fragments);
+    const fieldNames = _.uniq(_.map(fields, 'name'));
+    // Locations are used in errors.
+    const locations = field.loc ? [(0, _graphqlLanguage.getLocation)(field.loc.source, field.loc.start)] : [];
+    mergeField(output, alias, {name, params, fields, fieldNames, locations});
   });
   return output;
 };
 
-module.exports = function(query, variables) {
-  const parsed = (0, _graphqlLanguage.parse)(query);
-  return convert(parsed.definitions[0], variables);
+module.exports = function(query, variables, operationName) {
+  // Accepts a query string or an already parsed document.
+  const parsed = typeof query === 'string' ? (0, _graphqlLanguage.parse)(query) : query;
+  const operation = getOperation(parsed, operationName);
+  const fragments = {};
+  parsed.definitions.forEach(definition => {
+    if (definition.kind === 'FragmentDefinition') {
+      fragments[definition.name.value] = definition;
+    }
+  });
+  return convert(operation, getVariables(operation, variables), fragments);
 };
+
+module.exports.getOperation = getOperation;
@@ -45,6 +45,48 @@ class Plugin {
     return null;
   }
 
+  /**
+   * Get values for field provided by this plugin, for multiple objects.
+   *
+   * Called with the ids of all objects in a list. Plugins can override this
+   * method to load the values in a single request.
+   *
+   * @param object models
+   *   Object with all models in storage.
+   * @param object model
+   *   Current model.
+   * @param object field
+   *   Field object with properties 'name', 'params', 'fields' and 'fieldNames'.
+   * @param Array ids
+   *   Ids for current objects.
+   * @param Context context
+   *   Query context.
+   *
+   * @return Promise
+   *   Promise for a list with the value for each id. Errors in this list
+   *   fail the field for that id only.
+   */
+  getValues(models, model, field, ids, context) {
+    return Promise.all(ids.map(id => {
+      return Promise.resolve(this.getValue(models, model, field, id, context)).catch(err => err);
+    }));
+  }
+
+  /**
+   * Get GraphQL definition for field provided by this plugin.
+   *
+   * @param string name
+   *   Field in format 'Model.fieldName'.
+   * @param Schema schema
+   *   Schema under construction, which provides the types for models.
+   *
+   * @return object
+   *   Field config for graphql-js, with at least the 'type'.
+   */
+  getFieldSchema(name, schema) {
+    return {type: schema.json};
+  }
+
   /**
    * List models that this plugin does preprocessing for.
    *
@@ -0,0 +1,39 @@
+'use strict';
+
+const Ids = require('./ids');
+
+class PostgresSequence {
+  /**
+   * Initialize sequence.
+   *
+   * @param string name
+   *   Sequence name, which is the model name.
+   * @param Promise pool
+   *   Promise for a connection pool with a query() method.
+   */
+  constructor(name, pool) {
+    this.name = name;
+    this.pool = pool;
+    this.sequence = '"' + name.replace(/"/g, '""') + '_ids"';
+    this.created = null;
+  }
+
+  get() {
+    if (this.created === null) {
+      // Create the sequence only once to avoid concurrent CREATE statements.
+      this.created = Promise.resolve(this.pool).then(pool => {
+        return pool.query(`CREATE SEQUENCE IF NOT EXISTS ${this.sequence}`);
+      });
+    }
+    return this.created.then(() => {
+      return this.pool;
+    }).then(pool => {
+      return pool.query(`SELECT nextval('${this.sequence.replace(/'/g, '\'\'')}') AS "value"`);
+    }).then(result => {
+      // Postgres returns bigint values as strings.
+      return new Ids(parseInt(result.rows[0].value, 10)).id;
+    });
+  }
+}
+
+module.exports = PostgresSequence;
@@ -2,13 +2,75 @@
 
 const _ = require('lodash');
 const Bluebird = require('bluebird');
+const graphql = require('graphql');
 const HttpError = require('http-errors');
 
+const Loader = require('./loader');
 const parser = require('./parser');
 const Script = require('./script');
+const Transaction = require('./transaction');
+
+// Upserts in progress per model and natural key.
+const upserts = new Map();
+
+/**
+ * Get the error code for the status of an HttpError.
+ *
+ * Errors without status, such as syntax errors, fail on validation.
+ */
+const getErrorCode = status => {
+  if (status === 401 || status === 403) {
+    return 'FORBIDDEN';
+  }
+  if (status === 404) {
+    return 'NOT_FOUND';
+  }
+  return status >= 500 ? 'UPSTREAM_ERROR' : 'VALIDATION_FAILED';
+};
+
+/**
+ * Format an error for the "errors" property in the response.
+ *
+ * Errors that contain a list of errors, such as validation errors, are
+ * split into one error per item. Each error has a "message", "locations",
+ * "path" (omitted for errors that are not caused by a field) and the error
+ * code in "extensions".
+ *
+ * @see http://facebook.github.io/graphql/#sec-Errors
+ */
+const formatErrors = err => {
+  const items = err.errors instanceof Array && err.errors.length > 0 ? err.errors : [err];
+  return items.map(item => {
+    const output = {
+      message: typeof item === 'string' ? item : item.message,
+      locations: item.locations || err.locations || []
+    };
+    if (err.path) {
+      output.path = err.path;
+    }
+    output.extensions = {code: getErrorCode(err.status)};
+    return output;
+  });
+};
+
+/**
+ * Add a key to the response path of an error.
+ *
+ * Errors are annotated while propagating to the root field, thus keys are
+ * prepended. The locations are taken from the field that raised the error.
+ */
+const addErrorPath = (err, key, field) => {
+  if (err instanceof Error) {
+    err.path = _.concat([key], err.path || []);
+    if (typeof err.locations === 'undefined' && field && field.locations) {
+      err.locations = field.locations;
+    }
+  }
+  return err;
+};
 
 class Query {
-  constructor(models, query, context, args) {
+  constructor(models, query, context, args, operationName) {
     // Allow us to omit the second argument.
     if (typeof context !== 'undefined' && typeof args === 'undefined' && context.constructor.name === 'Object') {
       args = context;
@@ -26,11 +88,138 @@ class Query {
 
     this.query = query;
     this.context = context;
+    this.args = args;
+    this.operationName = operationName;
+    this.loaders = new Map();
+    // Errors of nested fields, which only fail the field itself.
+    this.fieldErrors = [];
+    // Only query strings are validated against the schema. Internal queries
+    // are passed in the parsed format.
+    this.document = null;
+    this.operationType = 'query';
+    // Operations with the @transaction directive roll back all changes when a field fails.
+    this.transactional = false;
     try {
-      this.parsed = typeof query === 'string' ? parser(query, args) : query;
+      if (typeof query === 'string') {
+        this.document = graphql.parse(query);
+        const operation = parser.getOperation(this.document, operationName);
+        this.operationType = operation.operation;
+        this.transactional = (operation.directives || []).some(directive => directive.name.value === 'transaction');
+        this.parsed = parser(this.document, args, operationName);
+      } else {
+        this.parsed = query;
+      }
     } catch (err) {
-      throw new HttpError(400, err.message);
+      throw new HttpError(400, err.message, {errors: formatErrors(err)});
+    }
+  }
+
+  /**
+   * Validate the query against the GraphQL schema of the models.
+   */
+  validate() {
+    if (this.document === null) {
+      return Bluebird.resolve();
+    }
+    return Bluebird.resolve(this.models.getSchema()).then(schema => {
+      let errors = schema.validate(this.document, this.args, this.operationName);
+      if (errors.length === 0 && this.models.limits) {
+        errors = this.checkLimits(schema, this.models.limits);
+      }
+      if (errors.length > 0) {
+        throw new HttpError(400, errors[0].message, {errors: formatErrors({errors})});
+      }
+    });
+  }
+
+  /**
+   * Check the query against the depth, list and cost limits.
+   *
+   * The cost is the number of items that may be loaded. Each field that
+   * loads items costs one for every item, including the items loaded by its
+   * subfields. Lists are counted at their limit. Introspection fields are
+   * not counted.
+   *
+   * @return Array
+   *   List of errors, with the exceeded limit in the message.
+   */
+  checkLimits(schema, limits) {
+    const errors = [];
+    let depth = 0;
+
+    // Get the number of items in a list field and check it against the limit.
+    const getListSize = (alias, field, definition) => {
+      const arg = _.find(definition.args, arg => arg.name === 'first' || arg.name === 'limit');
+      const model = this.models.instances[schema.getModelName(graphql.getNamedType(definition.type))];
+      if (typeof arg === 'undefined' || typeof model === 'undefined') {
+        // Lists without a limit are counted as a single item.
+        return 1;
+      }
+      const max = typeof model.jsonSchema.maxLimit === 'number' ? model.jsonSchema.maxLimit : limits.list;
+      const size = typeof field.params[arg.name] === 'number' ? field.params[arg.name] : arg.defaultValue;
+      if (size > max) {
+        errors.push({
+          message: `Parameter "${arg.name}" of "${alias}" exceeds the maximum list limit of ${max} for ${model.name}`,
+          locations: field.locations
+        });
+      }
+      return size;
+    };
+
+    const getCost = (fields, type, level, pageSize) => {
+      return _.sum(_.map(fields, (field, alias) => {
+        const definition = type.getFields()[field.name];
+        if (field.name.substring(0, 2) === '__' || typeof definition === 'undefined') {
+          return 0;
+        }
+        depth = Math.max(depth, level);
+        const fieldType = graphql.getNamedType(definition.type);
+        if (graphql.isLeafType(fieldType) || Object.keys(field.fields).length === 0) {
+          // Scalar fields on items are loaded with the item.
+          return level === 1 ? 1 : 0;
+        }
+        let size = 1;
+        let itemsSize;
+        if (schema.isConnectionType(fieldType)) {
+          // The page size applies to the "items" field of the connection.
+          itemsSize = getListSize(alias, field, definition);
+        } else if (graphql.getNullableType(definition.type) instanceof graphql.GraphQLList) {
+          size = typeof pageSize === 'number' ? pageSize : getListSize(alias, field, definition);
+        }
+        return size * (1 + getCost(field.fields, fieldType, level + 1, itemsSize));
+      }));
+    };
+
+    const roots = {
+      query: schema.schema.getQueryType(),
+      mutation: schema.schema.getMutationType(),
+      subscription: schema.schema.getSubscriptionType()
+    };
+    const cost = getCost(this.parsed, roots[this.operationType], 1);
+    if (depth > limits.depth) {
+      errors.push({message: `Query depth of ${depth} exceeds the maximum depth of ${limits.depth}`});
     }
+    if (cost > limits.cost) {
+      errors.push({message: `Query cost of ${cost} exceeds the maximum cost of ${limits.cost}`});
+    }
+    return errors;
+  }
+
+  /**
+   * Get values for introspection fields, such as __schema and __type.
+   */
+  introspect() {
+    const fields = Object.keys(this.parsed).filter(alias => this.parsed[alias].name.substring(0, 2) === '__');
+    if (fields.length === 0) {
+      return Bluebird.resolve({});
+    }
+    return Bluebird.resolve(this.models.getSchema()).then(schema => {
+      return schema.introspect(this.document, this.args, this.operationName);
+    }).then(data => {
+      return _.pick(data, fields);
+    }).catch(err => {
+      throw new HttpError(400, err.message, {errors: formatErrors(err)});
+    });
   }
 
   getOperation(method) {
@@ -92,14 +281,15 @@ class Query {
               throw new HttpError(403, `Permission denied on "${method.name}"`);
             }
 
-            const functionName = 'execute' + _.capitalize(operation);
+            // Connections are lists with cursor-based pagination.
+            const functionName = 'execute' + _.capitalize(method.connection ? 'page' : operation);
             // We call the 'executeOperation' function, but also check for
             // existence of the 'operation' function, which indicates if the
             // models engine supports this operation.
             if (typeof model[operation] === 'function' && typeof model[functionName] === 'function') {
               // Always add the "id" field. It is required for references and field access checks.
               method.fieldNames = _.union(method.fieldNames, ['id']);
-              return model[functionName](method.params, method.fieldNames, this.dry);
+              return this.callModel(model, functionName, method);
             }
             throw new HttpError(400, `Operation "${operation}" is not supported by model`);
           }).then(data => {
@@ -110,7 +300,47 @@ class Query {
     }
   }
 
-  extractFields(model, item, fields, fieldNames, reread) {
+  /**
+   * Call the execute function on the model.
+   *
+   * Reads by id are batched, as well as lists that have a "batch" field,
+   * which is the field for the reference in lists of referencing items.
+   */
+  callModel(model, functionName, method) {
+    const params = method.params;
+    const fieldNames = method.fieldNames;
+    if (functionName === 'executeRead' && !this.dry && _.isEqual(Object.keys(params), ['id'])) {
+      const key = `read:${model.name}:${fieldNames.join(',')}`;
+      return this.getLoader(key, ids => model.executeReadMany(ids, fieldNames)).load(params.id).then(_.cloneDeep);
+    }
+    if (functionName === 'executeList' && typeof method.batch === 'string' && typeof params[method.batch] === 'string') {
+      const field = method.batch;
+      const data = _.omit(params, field);
+      const key = `list:${model.name}:${field}:${JSON.stringify([data, fieldNames])}`;
+      return this.getLoader(key, values => model.executeListMany(field, values, data, fieldNames)).load(params[field]).then(_.cloneDeep);
+    }
+    return model[functionName](params, fieldNames, this.dry);
+  }
+
+  /**
+   * Get the loader for batching requests with the same key.
+   */
+  getLoader(key, batch) {
+    if (!this.loaders.has(key)) {
+      this.loaders.set(key, new Loader(batch));
+    }
+    return this.loaders.get(key);
+  }
+
+  /**
+   * Get the output for the requested fields of an item.
+   *
+   * When the path of the item in the response is given, nested fields that
+   * fail with an error for the client are null in the output. The error is
+   * added to the field errors of the query, with the full path. Without a
+   * path, the error is thrown.
+   */
+  extractFields(model, item, fields, reread, path) {
     const output = {};
     const promises = [];
     const missing = [];
@@ -148,15 +378,24 @@ class Query {
         const submethod = _.clone(field);
         submethod.name = references;
         submethod.params = {id: item[field.name]};
-        const promise = this.executeMethod(submethod).then(fieldResult => {
+        const promise = this.executeMethod(submethod, path ? _.concat(path, alias) : undefined).then(fieldResult => {
           output[alias] = fieldResult;
+        }).catch(err => {
+          output[alias] = null;
+          this.addFieldError(err, path, alias, field);
         });
         promises.push(promise);
       }
 
       if (this.models.hasPluginField(model, field)) {
-        const promise = this.models.getPluginFieldValue(model, field, item.id, this.context).then(value => {
+        // Values are loaded for all items at once. The field object is the
+        // same for all items in a list.
+        const loader = this.getLoader(field, ids => this.models.getPluginFieldValues(model, field, ids, this.context));
+        const promise = loader.load(item.id).then(value => {
           output[alias] = value;
+        }).catch(err => {
+          output[alias] = null;
+          this.addFieldError(err, path, alias, field);
         });
         promises.push(promise);
       }
@@ -170,7 +409,7 @@ class Query {
       if (missing.length > 0 && typeof item.id !== 'undefined' && reread) {
         return model.executeRead(_.pick(item, 'id'), missing).then(data => {
           data = _.merge(data, item);
-          return this.extractFields(model, data, fields, fieldNames, false);
+          return this.extractFields(model, data, fields, false, path);
         });
       }
       if (missing.length > 0) {
@@ -183,6 +422,23 @@ class Query {
     });
   }
 
+  /**
+   * Add the error of a nested field to the field errors of the query.
+   *
+   * Errors that are not exposed to clients, and errors for items without
+   * a path, are thrown with the path to the field.
+   */
+  addFieldError(err, path, alias, field) {
+    if (!path || !(err instanceof HttpError.HttpError) || !err.expose) {
+      throw addErrorPath(err, alias, field);
+    }
+    // Loaders reject all fields that load the same values with one error.
+    const fieldError = new HttpError(err.status, err.message, _.pick(err, ['errors', 'expose']));
+    fieldError.path = _.concat(path, alias, err.path || []);
+    fieldError.locations = err.locations || field.locations;
+    this.fieldErrors.push(fieldError);
+  }
+
   checkFieldPermissions(model, id, fieldNames, operation) {
     if (!this.context) {
       return true;
@@ -217,7 +473,8 @@ class Query {
       const storage = {
         query(query, args) {
           return new Query(this.models, query, args).execute();
-        }
+        },
+        httpCache: (this.models.storage || {}).httpCache
       };
       script = new Script({
         name: 'Query',
@@ -232,7 +489,13 @@ class Query {
     });
   }
 
-  executeMethod(method) {
+  /**
+   * Execute a field and get its output.
+   *
+   * The path is the position of the field in the response, which is used
+   * for the errors of nested fields.
+   */
+  executeMethod(method, path) {
     if (method.name === 'script' && typeof this.context === 'undefined') {
       // @todo: Allow plugins to add fields and move to plugin.
       return this.executeScript(method);
@@ -240,20 +503,50 @@ class Query {
 
     let model;
     let result;
+    let connection = null;
+    let page;
+    if (this.isConnection(method)) {
+      connection = this.getConnectionFields(method);
+    }
     return this.getModel(method).then(_model => {
       model = _model;
-      return this.preprocess(method, model);
-    }).then(_method => {
-      method = _method;
-      return this.callMethod(method);
+      return this.lockUpsert(method, model, () => {
+        return this.resolveUpsert(method, model).then(() => {
+          return this.preprocess(method, model);
+        }).then(_method => {
+          method = _method;
+          return this.callMethod(method);
+        });
+      });
     }).then(_result => {
       result = _result;
+      if (connection) {
+        page = result.data;
+        result.data = page.items;
+      }
       return this.postprocess(method, model, result.data);
     }).then(_data => {
       result.data = _data;
       const isArray = result.data instanceof Array;
       const data = isArray ? result.data : [result.data];
-      return Bluebird.resolve(data).each(item => {
+      const getItemPath = index => {
+        if (!path) {
+          return undefined;
+        }
+        const itemPath = connection ? _.concat(path, _.findKey(connection.fields, field => field.name === 'items')) : path;
+        return isArray ? _.concat(itemPath, index) : itemPath;
+      };
+      const addItemPath = (err, index) => {
+        if (isArray) {
+          addErrorPath(err, index);
+        }
+        if (connection) {
+          const alias = _.findKey(connection.fields, field => field.name === 'items');
+          addErrorPath(err, alias, connection.fields[alias]);
+        }
+        throw err;
+      };
+      return Bluebird.resolve(data).each((item, index) => {
         if (item === null) {
           // Skip permission checks on empty items.
           return;
@@ -263,16 +556,162 @@ class Query {
         if (parts) {
           operation = parts[1] ? parts[1] : 'read';
         }
-        return this.checkFieldPermissions(result.model, item.id, method.fieldNames, operation);
-      }).map(item => {
+        return Bluebird.resolve(this.checkFieldPermissions(result.model, item.id, method.fieldNames, operation)).catch(err => {
+          return addItemPath(err, index);
+        });
+      }).map((item, index) => {
         if (typeof item === 'object') {
-          return this.extractFields(result.model, item, method.fields, method.fieldNames, true);
+          return Bluebird.resolve(this.extractFields(result.model, item, method.fields, true, getItemPath(index))).catch(err => {
+            return addItemPath(err, index);
+          });
         }
         // Operations MAY return scalar values (i.e. 'count').
         return item;
       }).then(items => {
         return isArray ? items : items[0];
       });
+    }).then(output => {
+      if (connection) {
+        return this.getConnectionOutput(connection, model, page, output);
+      }
+      return output;
+    });
+  }
+
+  /**
+   * Run an upsert after all earlier upserts on the same natural key.
+   *
+   * The lookup and the write of concurrent upserts would otherwise both find
+   * no item and both create one. Only upserts in this process are serialized.
+   * Other methods are run directly.
+   */
+  lockUpsert(method, model, callback) {
+    const naturalKey = model.jsonSchema.naturalKey;
+    const hasId = typeof method.params.id !== 'undefined' && method.params.id !== null;
+    if (this.getOperation(method) !== 'upsert' || hasId || typeof naturalKey === 'undefined') {
+      return Bluebird.try(callback);
+    }
+    const key = JSON.stringify([model.name, _.pick(method.params, naturalKey)]);
+    const previous = upserts.has(key) ? upserts.get(key) : Bluebird.resolve();
+    const output = previous.then(callback);
+    const done = output.catch(_.noop).then(() => {
+      if (upserts.get(key) === done) {
+        upserts.delete(key);
+      }
+    });
+    upserts.set(key, done);
+    return output;
+  }
+
+  /**
+   * Resolve an upsert to a create or update operation.
+   *
+   * The item to update is looked up with a read on the id or a list on the
+   * natural key, which have the same access checks and pre- and
+   * postprocessors as these operations in the query. The method is renamed
+   * after the operation it resolves to, thus the access checks, validation
+   * and pre- and postprocessors are those of the create or update operation.
+   * When the natural key matches multiple items, the item with the lowest id
+   * is updated.
+   */
+  resolveUpsert(method, model) {
+    if (this.getOperation(method) !== 'upsert') {
+      return Bluebird.resolve();
+    }
+    return Bluebird.try(() => model.getUpsertFilters(method.params)).then(filters => {
+      if (filters === null) {
+        return null;
+      }
+      const lookup = {
+        params: filters,
+        fields: {id: {name: 'id', params: {}, fields: {}, fieldNames: []}},
+        fieldNames: ['id']
+      };
+      if (typeof filters.id !== 'undefined') {
+        lookup.name = `read${model.name}`;
+        return this.executeMethod(lookup).then(item => {
+          if (item === null) {
+            // Ids are generated on create, thus unknown ids cannot be created.
+            throw new HttpError(404, 'Item not found');
+          }
+          return item.id;
+        });
+      }
+      lookup.name = `list${model.name}`;
+      lookup.params = _.assign({}, filters, {sort: 'id', limit: 1});
+      return this.executeMethod(lookup).then(items => {
+        return items.length > 0 ? items[0].id : null;
+      });
+    }).then(id => {
+      if (id === null) {
+        method.name = `create${model.name}`;
+        method.params = _.omit(method.params, ['id']);
+      } else {
+        method.name = `update${model.name}`;
+        method.params.id = id;
+      }
+    });
+  }
+
+  /**
+   * Check if the method is a list with cursor-based pagination.
+   *
+   * These are named after the list operation, with the "Connection" suffix.
+   */
+  isConnection(method) {
+    return this.getOperation(method) === 'list' && /[a-z]Connection$/.test(method.name);
+  }
+
+  /**
+   * Split the fields of a connection from the fields of its items.
+   *
+   * Connections have the fields "items", "endCursor", "hasNextPage" and
+   * "totalCount". The method is changed into a list operation with the
+   * fields requested for the items. Returns the connection fields, with
+   * the original parameters.
+   */
+  getConnectionFields(method) {
+    const fields = method.fields || {};
+    const errors = [];
+    Object.keys(fields).forEach(alias => {
+      if (['items', 'endCursor', 'hasNextPage', 'totalCount'].indexOf(fields[alias].name) < 0) {
+        errors.push(`Unknown field "${fields[alias].name}"`);
+      }
+    });
+    if (errors.length > 0) {
+      throw new HttpError(400, 'Unknown fields in query', {errors});
+    }
+    const items = _.find(fields, field => field.name === 'items') || {};
+    const connection = {
+      name: method.name,
+      params: _.cloneDeep(method.params),
+      fields
+    };
+    method.name = method.name.replace(/Connection$/, '');
+    method.connection = true;
+    method.fields = items.fields || {};
+    method.fieldNames = items.fieldNames || [];
+    return connection;
+  }
+
+  getConnectionOutput(connection, model, page, items) {
+    const output = {};
+    return Bluebird.resolve(Object.keys(connection.fields)).each(alias => {
+      const name = connection.fields[alias].name;
+      if (name === 'totalCount') {
+        const method = {
+          name: 'count' + model.name,
+          params: _.omit(connection.params, ['first', 'after', 'sort']),
+          fields: {},
+          fieldNames: []
+        };
+        return this.executeMethod(method).then(count => {
+          output[alias] = count;
+        });
+      }
+      output[alias] = name === 'items' ? items : page[name];
+    }).then(() => {
+      return output;
     });
   }
 
@@ -303,14 +742,217 @@ class Query {
     });
   }
 
+  /**
+   * Subscribe to changes in the results of a list query.
+   *
+   * The query must contain a single list operation. The listener is called
+   * with the event type ("create", "update" or "remove") and the output for
+   * the changed item, keyed by its alias. Removed items only have an id.
+   * Items are only pushed when the context has read access to the item and
+   * all requested fields. Failures are reported with the "error" type.
+   * The listener is called with "close" when the subscription was ended by
+   * the engine. Resolves to an object with a close() method.
+   */
+  subscribe(listener) {
+    const aliases = Object.keys(this.parsed);
+    if (this.operationType === 'mutation' || aliases.length !== 1 || this.getOperation(this.parsed[aliases[0]]) !== 'list' || this.isConnection(this.parsed[aliases[0]])) {
+      throw new HttpError(400, 'Subscriptions must contain a single list operation');
+    }
+    const alias = aliases[0];
+    let method = this.parsed[alias];
+    let model;
+    return this.validate().then(() => {
+      return this.getModel(method);
+    }).then(_model => {
+      model = _model;
+      return this.preprocess(method, model);
+    }).then(_method => {
+      method = _method;
+      if (this.context) {
+        return this.context.access(this.models, model, 'list', _.cloneDeep(method.params), null);
+      }
+      return true;
+    }).then(access => {
+      if (!access) {
+        throw new HttpError(403, `Permission denied on "${method.name}"`);
+      }
+      method.fieldNames = _.union(method.fieldNames, ['id']);
+      // Handle events one by one to preserve their order.
+      let queue = Bluebird.resolve();
+      return model.executeSubscribe(method.params, (type, item) => {
+        queue = queue.then(() => {
+          if (type === 'error' || type === 'close') {
+            return listener(type, item);
+          }
+          return this.getEventOutput(model, method, type, item).then(output => {
+            if (output !== null) {
+              return listener(type, {[alias]: output});
+            }
+          });
+        }).catch(err => {
+          return listener('error', err);
+        });
+      });
+    });
+  }
+
+  getEventOutput(model, method, type, item) {
+    // Access is checked on the item values, as the item may be removed.
+    return Bluebird.resolve(this.hasEventAccess(model, method, item)).then(access => {
+      if (!access) {
+        return null;
+      }
+      if (type === 'remove') {
+        return {id: item.id};
+      }
+      method.fieldNames.forEach(key => {
+        if (typeof model.jsonSchema.properties[key] !== 'undefined' && typeof item[key] === 'undefined') {
+          item[key] = null;
+        }
+      });
+      return this.postprocess(method, model, [item]).then(data => {
+        return this.extractFields(model, data[0], method.fields, true);
+      });
+    });
+  }
+
+  hasEventAccess(model, method, item) {
+    if (!this.context) {
+      return true;
+    }
+    const fields = _.concat([null], method.fieldNames);
+    return Bluebird.reduce(fields, (access, field) => {
+      if (!access) {
+        return false;
+      }
+      return this.context.access(this.models, model, 'read', _.clone(item), field);
+    }, true);
+  }
+
+  /**
+   * Check if a top-level field only reads data.
+   */
+  isReadOnly(alias) {
+    const method = this.parsed[alias];
+    if (this.operationType === 'mutation' || method.name === 'script') {
+      return false;
+    }
+    if (method.name.substring(0, 2) === '__') {
+      return true;
+    }
+    return ['read', 'list', 'count'].indexOf(this.getOperation(method)) >= 0;
+  }
+
+  /**
+   * Group the top-level fields for execution.
+   *
+   * Subsequent read-only fields are grouped, as these can be executed
+   * concurrently. Mutations are in a group of their own and thus executed
+   * one by one, in document order. Reads after a mutation see its changes.
+   */
+  getExecutionGroups() {
+    const groups = [];
+    let readOnly = false;
+    Object.keys(this.parsed).forEach(alias => {
+      const isReadOnly = this.isReadOnly(alias);
+      if (groups.length > 0 && readOnly && isReadOnly) {
+        groups[groups.length - 1].push(alias);
+      } else {
+        groups.push([alias]);
+      }
+      readOnly = isReadOnly;
+    });
+    return groups;
+  }
+
+  /**
+   * Execute the query.
+   *
+   * All fields are executed, also when an earlier field fails. When fields
+   * failed, the first error is thrown with the output of the other fields in
+   * the "data" property and all errors in the "errors" property. Failed
+   * fields are null in the output, including failed nested fields. The
+   * "partial" property indicates if any top-level field succeeded. Errors
+   * that are not exposed to clients are thrown as is, without executing the
+   * remaining fields.
+   *
+   * In transactions, fields after the first failed field are not executed
+   * and all changes are rolled back, as these are when the commit fails. The
+   * data is null in that case. Queries
+   * run by plugins, such as cascading deletes, take part in the transaction
+   * of the query that runs these.
+   */
   execute() {
     const output = {};
-    return Bluebird.resolve(Object.keys(this.parsed)).each(alias => {
-      return Bluebird.resolve(this.executeMethod(this.parsed[alias])).then(result => {
-        output[alias] = result;
+    const errors = {};
+    let transaction = null;
+    if (this.operationType === 'subscription') {
+      return Bluebird.reject(new HttpError(400, 'Subscription operations can only be used in subscriptions'));
+    }
+    const aliases = Object.keys(this.parsed);
+    // Fields complete in any order. Set all keys to keep the order of the query.
+    aliases.forEach(alias => {
+      output[alias] = null;
+    });
+    const concurrency = this.models.queryConcurrency || 1;
+    return this.validate().then(() => {
+      return this.introspect();
+    }).then(introspection => {
+      if (this.transactional && !this.dry && !this.models.transaction) {
+        transaction = new Transaction();
+        this.models = this.models.withTransaction(transaction);
+      }
+      return Bluebird.resolve(this.getExecutionGroups()).each(group => {
+        if (transaction !== null && (Object.keys(errors).length > 0 || this.fieldErrors.length > 0)) {
+          return;
+        }
+        return Bluebird.map(group, alias => {
+          if (typeof introspection[alias] !== 'undefined') {
+            output[alias] = introspection[alias];
+            return;
+          }
+          return Bluebird.resolve(this.executeMethod(this.parsed[alias], [alias])).then(result => {
+            output[alias] = result;
+          }).catch(err => {
+            if (!(err instanceof HttpError.HttpError) || !err.expose) {
+              throw err;
+            }
+            errors[alias] = addErrorPath(err, alias, this.parsed[alias]);
+          });
+        }, {concurrency});
       });
     }).then(() => {
+      // Errors of nested fields are left out when the top-level field failed.
+      const failed = _.flatMap(aliases, alias => {
+        if (typeof errors[alias] !== 'undefined') {
+          return [errors[alias]];
+        }
+        return this.fieldErrors.filter(err => err.path[0] === alias);
+      });
+      if (failed.length > 0) {
+        const err = failed[0];
+        err.errors = _.flatMap(failed, formatErrors);
+        err.data = output;
+        err.partial = aliases.some(alias => typeof errors[alias] === 'undefined');
+        throw err;
+      }
       return output;
+    }).then(output => {
+      if (transaction === null) {
+        return output;
+      }
+      return transaction.commit().then(() => output);
+    }).catch(err => {
+      if (transaction === null) {
+        throw err;
+      }
+      return transaction.rollback().then(() => {
+        if (typeof err.data !== 'undefined') {
+          err.data = null;
+          err.partial = false;
+        }
+        throw err;
+      });
     });
   }
 }
@@ -0,0 +1,428 @@
+'use strict';
+
+const _ = require('lodash');
+const graphql = require('graphql');
+const NoUndefinedVariables = require('graphql/validation/rules/NoUndefinedVariables').NoUndefinedVariables;
+const ScalarLeafs = require('graphql/validation/rules/ScalarLeafs').ScalarLeafs;
+
+const validName = /^[_a-zA-Z][_a-zA-Z0-9]*$/;
+
+/**
+ * Get a JavaScript value from a literal in a query.
+ */
+const parseLiteral = ast => {
+  switch (ast.kind) {
+    case graphql.Kind.STRING:
+    case graphql.Kind.BOOLEAN:
+    case graphql.Kind.ENUM:
+      return ast.value;
+    case graphql.Kind.INT:
+      return parseInt(ast.value, 10);
+    case graphql.Kind.FLOAT:
+      return parseFloat(ast.value);
+    case graphql.Kind.LIST:
+      return ast.values.map(parseLiteral);
+    case graphql.Kind.OBJECT:
+      return _.fromPairs(ast.fields.map(field => [field.name.value, parseLiteral(field.value)]));
+    default:
+      return null;
+  }
+};
+
+const JSONType = new graphql.GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value.',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral
+});
+
+/**
+ * Get a literal for a JavaScript value, as it would be written in a query.
+ *
+ * Used to validate the values of variables the same way as literals.
+ */
+const getLiteral = value => {
+  if (value === null || typeof value === 'undefined') {
+    return {kind: graphql.Kind.NULL};
+  }
+  if (Array.isArray(value)) {
+    return {kind: graphql.Kind.LIST, values: value.map(getLiteral)};
+  }
+  switch (typeof value) {
+    case 'string':
+      return {kind: graphql.Kind.STRING, value};
+    case 'boolean':
+      return {kind: graphql.Kind.BOOLEAN, value};
+    case 'number':
+      return {kind: Number.isInteger(value) ? graphql.Kind.INT : graphql.Kind.FLOAT, value: String(value)};
+    case 'object':
+      return {
+        kind: graphql.Kind.OBJECT,
+        fields: Object.keys(value).map(key => ({
+          kind: graphql.Kind.OBJECT_FIELD,
+          name: {kind: graphql.Kind.NAME, value: key},
+          value: getLiteral(value[key])
+        }))
+      };
+    default:
+      return {kind: graphql.Kind.NULL};
+  }
+};
+
+const TransactionDirective = new graphql.GraphQLDirective({
+  name: 'transaction',
+  description: 'Executes the operation in a transaction. All changes are rolled back when a field fails.',
+  locations: [graphql.DirectiveLocation.QUERY, graphql.DirectiveLocation.MUTATION]
+});
+
+/**
+ * Leaf fields may not have a selection.
+ *
+ * Replaces the ScalarLeafs rule, as object fields do not require a selection.
+ * Without a selection, references give the id of the referenced item.
+ */
+const LeafFieldSelections = context => {
+  return {
+    Field(node) {
+      const type = context.getType();
+      if (type && graphql.isLeafType(type) && node.selectionSet) {
+        const message = `Field "${node.name.value}" must not have a selection since type "${type}" has no subfields.`;
+        context.reportError(new graphql.GraphQLError(message, [node.selectionSet]));
+      }
+    }
+  };
+};
+
+/**
+ * Get the introspection fields from a selection set on the root type.
+ *
+ * Fragment spreads are replaced by inline fragments, which only contain
+ * the introspection fields.
+ */
+const getIntrospectionSelections = (selectionSet, fragments) => {
+  const selections = [];
+  selectionSet.selections.forEach(selection => {
+    if (selection.kind === graphql.Kind.FIELD) {
+      if (selection.name.value.substring(0, 2) === '__') {
+        selections.push(selection);
+      }
+      return;
+    }
+    const fragment = selection.kind === graphql.Kind.FRAGMENT_SPREAD ? fragments[selection.name.value] : selection;
+    selections.push({
+      kind: graphql.Kind.INLINE_FRAGMENT,
+      typeCondition: fragment.typeCondition,
+      directives: selection.directives,
+      selectionSet: getIntrospectionSelections(fragment.selectionSet, fragments)
+    });
+  });
+  return _.assign({}, selectionSet, {selections});
+};
+
+/**
+ * GraphQL schema for the models.
+ *
+ * Has an object type per model and root fields for all operations. The
+ * mutation type only has the fields that change data and the subscription
+ * type only has the list fields. All fields are also available in the query
+ * type, as the operation type can be omitted in queries. Fields
+ * provided by plugins are described by the plugin's getFieldSchema() and
+ * fields provided by the engine by its engineProperties. Engines can accept
+ * additional arguments, declared in engineArguments. Argument names and
+ * values are validated against their types. Values of variables are validated
+ * as if these were written as literals at each place the variable is used.
+ */
+class Schema {
+  constructor(models) {
+    this.models = models;
+    this.types = {};
+    this.connectionTypes = {};
+    this.json = JSONType;
+
+    Object.keys(models.instances).forEach(name => {
+      this.types[name] = new graphql.GraphQLObjectType({
+        name,
+        fields: () => this.getFields(models.instances[name])
+      });
+    });
+
+    this.schema = new graphql.GraphQLSchema({
+      query: new graphql.GraphQLObjectType({
+        name: 'Query',
+        fields: () => this.getRootFields()
+      }),
+      mutation: new graphql.GraphQLObjectType({
+        name: 'Mutation',
+        fields: () => this.getMutationFields()
+      }),
+      subscription: new graphql.GraphQLObjectType({
+        name: 'Subscription',
+        fields: () => this.getSubscriptionFields()
+      }),
+      directives: _.concat(graphql.specifiedDirectives, TransactionDirective)
+    });
+  }
+
+  getType(name) {
+    return this.types[name];
+  }
+
+  /**
+   * Get the name of the model for an object type or connection type.
+   *
+   * Returns null for other types.
+   */
+  getModelName(type) {
+    const name = _.findKey(this.types, item => item === type) || _.findKey(this.connectionTypes, item => item === type);
+    return name || null;
+  }
+
+  isConnectionType(type) {
+    return _.some(this.connectionTypes, item => item === type);
+  }
+
+  /**
+   * Get the connection type for cursor-based pagination on a model.
+   */
+  getConnectionType(name) {
+    if (typeof this.connectionTypes[name] === 'undefined') {
+      this.connectionTypes[name] = new graphql.GraphQLObjectType({
+        name: `${name}Connection`,
+        fields: {
+          items: {type: new graphql.GraphQLList(this.types[name])},
+          endCursor: {type: graphql.GraphQLString},
+          hasNextPage: {type: graphql.GraphQLBoolean},
+          totalCount: {type: graphql.GraphQLInt}
+        }
+      });
+    }
+    return this.connectionTypes[name];
+  }
+
+  getScalarType(property) {
+    if (property.format === 'id' || typeof property.references === 'string') {
+      return graphql.GraphQLID;
+    }
+    switch (property.type) {
+      case 'string':
+        return graphql.GraphQLString;
+      case 'integer':
+        return graphql.GraphQLInt;
+      case 'number':
+      case 'float':
+        return graphql.GraphQLFloat;
+      case 'boolean':
+        return graphql.GraphQLBoolean;
+      case 'array':
+        if (typeof property.items === 'object' && ['object', 'array'].indexOf(property.items.type) < 0) {
+          return new graphql.GraphQLList(this.getScalarType(property.items));
+        }
+        return new graphql.GraphQLList(JSONType);
+      default:
+        return JSONType;
+    }
+  }
+
+  getProperties(name) {
+    const properties = this.models.instances[name].jsonSchema.properties;
+    return _.pickBy(properties, (property, key) => validName.test(key));
+  }
+
+  getFields(model) {
+    const fields = {};
+    _.forEach(this.getProperties(model.name), (property, key) => {
+      const references = property.references;
+      const type = typeof this.types[references] === 'undefined' ? this.getScalarType(property) : this.types[references];
+      fields[key] = {type, description: property.description};
+    });
+    _.forEach(model.engineProperties, (property, key) => {
+      if (typeof fields[key] === 'undefined') {
+        fields[key] = {type: this.getScalarType(property), description: property.description};
+      }
+    });
+    _.forEach(this.models.pluginFields, (field, name) => {
+      const parts = name.split('.');
+      if (parts[0] === model.name) {
+        fields[parts[1]] = field.plugin.getFieldSchema(name, this);
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Get arguments for filtering on the fields of a model.
+   */
+  getFilterArguments(name) {
+    const args = {};
+    _.forEach(this.getProperties(name), (property, key) => {
+      const type = this.getScalarType(property);
+      args[key] = {type};
+      args[`${key}_ne`] = {type};
+      args[`${key}_in`] = {type: new graphql.GraphQLList(type)};
+      if (['string', 'integer', 'number'].indexOf(property.type) >= 0) {
+        ['gt', 'gte', 'lt', 'lte'].forEach(operator => {
+          args[`${key}_${operator}`] = {type};
+        });
+      }
+      if (property.type === 'string') {
+        args[`${key}_contains`] = {type};
+      }
+      if (property.type === 'array') {
+        args[`${key}_contains`] = {type: graphql.getNamedType(type)};
+      }
+    });
+    args._or = {type: new graphql.GraphQLList(JSONType)};
+    return _.assign(args, this.getEngineArguments(name));
+  }
+
+  /**
+   * Get arguments that the engine accepts for reads, lists and counts.
+   */
+  getEngineArguments(name) {
+    return _.mapValues(this.models.instances[name].engineArguments, property => {
+      return {type: this.getScalarType(property), description: property.description};
+    });
+  }
+
+  /**
+   * Get arguments for a list of items.
+   *
+   * Lists take either "limit" and "offset", or "first" and "after" for the
+   * connection type.
+   */
+  getListArguments(name, connection) {
+    const args = this.getFilterArguments(name);
+    args.sort = {type: JSONType, description: 'Field name or list of field names. Prefix with "!" to sort descending.'};
+    if (connection) {
+      args.first = {type: graphql.GraphQLInt, defaultValue: 10};
+      args.after = {type: graphql.GraphQLString};
+    } else {
+      args.limit = {type: graphql.GraphQLInt, defaultValue: 10};
+      args.offset = {type: graphql.GraphQLInt, defaultValue: 0};
+    }
+    return args;
+  }
+
+  getInputArguments(name) {
+    return _.mapValues(this.getProperties(name), property => {
+      return {type: this.getScalarType(property)};
+    });
+  }
+
+  getRootFields() {
+    const fields = {};
+    Object.keys(this.types).forEach(name => {
+      const type = this.types[name];
+      const id = {id: {type: graphql.GraphQLID}};
+      fields[name] = {type, args: id};
+      fields[`read${name}`] = {type, args: _.assign({}, this.getEngineArguments(name), id)};
+      fields[`list${name}`] = {type: new graphql.GraphQLList(type), args: this.getListArguments(name, false)};
+      fields[`list${name}Connection`] = {type: this.getConnectionType(name), args: this.getListArguments(name, true)};
+      fields[`count${name}`] = {type: graphql.GraphQLInt, args: this.getFilterArguments(name)};
+      fields[`create${name}`] = {type, args: _.omit(this.getInputArguments(name), 'id')};
+      fields[`update${name}`] = {type, args: this.getInputArguments(name)};
+      fields[`upsert${name}`] = {type, args: this.getInputArguments(name)};
+      fields[`delete${name}`] = {type, args: id};
+    });
+    fields.script = {
+      type: JSONType,
+      args: {
+        name: {type: graphql.GraphQLString},
+        data: {type: JSONType},
+        steps: {type: new graphql.GraphQLList(JSONType)},
+        debug: {type: graphql.GraphQLBoolean}
+      }
+    };
+    return fields;
+  }
+
+  getMutationFields() {
+    const names = _.flatMap(Object.keys(this.types), name => [`create${name}`, `update${name}`, `upsert${name}`, `delete${name}`]);
+    return _.pick(this.getRootFields(), _.concat(names, 'script'));
+  }
+
+  getSubscriptionFields() {
+    return _.pick(this.getRootFields(), Object.keys(this.types).map(name => `list${name}`));
+  }
+
+  /**
+   * Validate a parsed query.
+   *
+   * Returns a list of errors with "message" and "locations".
+   */
+  validate(document, variables, operationName) {
+    // Variables are passed without declaring these in the query.
+    const excluded = [NoUndefinedVariables, ScalarLeafs];
+    const rules = _.concat(_.difference(graphql.specifiedRules, excluded), LeafFieldSelections);
+    let errors = graphql.validate(this.schema, document, rules);
+    if (errors.length === 0) {
+      errors = this.validateVariables(document, variables || {}, operationName);
+    }
+    return errors.map(error => {
+      return {message: error.message, locations: error.locations};
+    });
+  }
+
+  /**
+   * Validate the values of variables against the types of the arguments
+   * these are used in.
+   *
+   * The variables do not have to be declared in the query. Variables without
+   * a value are skipped.
+   */
+  validateVariables(document, variables, operationName) {
+    const errors = [];
+    const typeInfo = new graphql.TypeInfo(this.schema);
+    // Only check the operation that is executed.
+    const definitions = document.definitions.filter(definition => {
+      return definition.kind !== graphql.Kind.OPERATION_DEFINITION || !operationName || (definition.name && definition.name.value === operationName);
+    });
+    graphql.visit(_.assign({}, document, {definitions}), graphql.visitWithTypeInfo(typeInfo, {
+      // Default values are validated against the declared types.
+      VariableDefinition: () => false,
+      Variable: node => {
+        const name = node.name.value;
+        const type = typeInfo.getInputType();
+        if (!type || typeof variables[name] === 'undefined') {
+          return;
+        }
+        const literal = getLiteral(variables[name]);
+        const messages = graphql.isValidLiteralValue(type, literal);
+        if (messages.length > 0) {
+          const message = `Variable "$${name}" has invalid value ${graphql.print(literal)}.\n${messages.join('\n')}`;
+          errors.push(new graphql.GraphQLError(message, [node]));
+        }
+      }
+    }));
+    return errors;
+  }
+
+  /**
+   * Execute the introspection fields in a parsed query.
+   *
+   * Resolves to an object with the values for all fields starting with "__".
+   */
+  introspect(document, variables, operationName) {
+    // Other fields are left out, as these are not resolved by graphql-js.
+    const fragments = _.keyBy(document.definitions.filter(definition => {
+      return definition.kind === graphql.Kind.FRAGMENT_DEFINITION;
+    }), definition => definition.name.value);
+    const definitions = document.definitions.map(definition => {
+      if (definition.kind !== graphql.Kind.OPERATION_DEFINITION) {
+        return definition;
+      }
+      const selectionSet = getIntrospectionSelections(definition.selectionSet, fragments);
+      return _.assign({}, definition, {selectionSet});
+    });
+    document = _.assign({}, document, {definitions});
+    return graphql.execute(this.schema, document, {}, null, variables, operationName).then(result => {
+      if (result.errors) {
+        throw result.errors[0];
+      }
+      return result.data;
+    });
+  }
+}
+
+module.exports = Schema;
@@ -196,6 +196,16 @@ class Script {
     });
   }
 
+  /**
+   * Fetch url using the shared HttpCache of the storage.
+   */
+  fetch(url, options) {
+    if (this.storage && this.storage.httpCache) {
+      return this.storage.httpCache.fetch(url, options);
+    }
+    return fetch(url, options);
+  }
+
   _script(value, options) {
     if (typeof options !== 'string') {
       throw new Error('Value for "script" method must be a string');
@@ -271,7 +281,7 @@ class Script {
       if (typeof cookies === 'object' && Object.keys(cookies).length > 0) {
         options.headers.Cookie = getCookieHeader(cookies);
       }
-      return fetch(options.url, {
+      return this.fetch(options.url, {
         method: options.method,
         headers: options.headers,
         body: options.body
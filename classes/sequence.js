@@ -8,7 +8,17 @@ class Sequence {
   constructor(name, database) {
     this.name = name;
     this.lastId = 0;
-    this.client = redis.createClient(database.port, database.host);
+    this.database = database;
+    this._client = null;
+  }
+
+  get client() {
+    // Connect on first use. Engines that provide their own sequence
+    // should not require a running Redis server.
+    if (this._client === null) {
+      this._client = redis.createClient(this.database.port, this.database.host);
+    }
+    return this._client;
   }
 
   get() {
@@ -0,0 +1,341 @@
+'use strict';
+
+const _ = require('lodash');
+const Promise = require('bluebird');
+const HttpError = require('http-errors');
+
+const Model = require('./model');
+
+const quote = function(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+};
+
+// Number of values per query when listing items for multiple values.
+const batchSize = 100;
+
+/**
+ * Base class for engines that store models in SQL databases.
+ *
+ * Each model is stored in a table, which is created on startup from the
+ * models jsonSchema. Each property is stored in its own column. Missing
+ * columns are added to existing tables. Indexes are created for fields that
+ * are ``indexed`` or have a ``reverse`` property.
+ * Filters and their operators are translated to the WHERE clause.
+ * Lists of referencing items for multiple items are read in one query.
+ *
+ * Engines provide the dialect: the column types, the conversion of values,
+ * the placeholders for parameters and how statements are run.
+ */
+class SqlModel extends Model {
+  constructor(modelData, database, internalDatabase) {
+    super(modelData, database, internalDatabase);
+
+    this.table = quote(this.name);
+
+    this.columns = {};
+    Object.keys(this.jsonSchema.properties).forEach(key => {
+      this.columns[key] = this.getColumnType(this.jsonSchema.properties[key].type);
+    });
+
+    this.indexedFields = [];
+    this.nativeConditions = true;
+  }
+
+  ready() {
+    return Promise.resolve(this._ready);
+  }
+
+  /**
+   * Create the table, missing columns and indexes.
+   */
+  createTable() {
+    const columns = Object.keys(this.columns).map(key => {
+      const primary = key === 'id' ? ' PRIMARY KEY' : '';
+      return `${quote(key)} ${this.columns[key]}${primary}`;
+    });
+    return this.query(`CREATE TABLE IF NOT EXISTS ${this.table} (${columns.join(', ')})`).then(() => {
+      return this.getExistingColumns();
+    }).then(names => {
+      // Add columns for properties that were added to the model.
+      return Promise.resolve(_.difference(Object.keys(this.columns), names)).each(key => {
+        return this.query(`ALTER TABLE ${this.table} ADD COLUMN ${quote(key)} ${this.columns[key]}`);
+      });
+    }).then(() => {
+      return Promise.resolve(Object.keys(this.jsonSchema.properties)).each(key => {
+        const field = this.jsonSchema.properties[key];
+        if (typeof field.reverse !== 'undefined' || field.indexed === true) {
+          this.indexedFields.push(key);
+          const index = quote(`${this.name}_${key}`);
+          return this.query(`CREATE INDEX IF NOT EXISTS ${index} ON ${this.table} (${quote(key)})`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a statement.
+   *
+   * Resolves to the list of rows.
+   */
+  query() {
+    throw new Error('SQL engines must implement query()');
+  }
+
+  /**
+   * Get the names of the columns in the table.
+   */
+  getExistingColumns() {
+    throw new Error('SQL engines must implement getExistingColumns()');
+  }
+
+  getColumnType() {
+    return 'TEXT';
+  }
+
+  /**
+   * Add a parameter and get its placeholder.
+   */
+  addParam(params, value) {
+    params.push(value);
+    return '?';
+  }
+
+  /**
+   * Add a parameter for the value of a field and get its placeholder.
+   */
+  getParam(params, key, value) {
+    return this.addParam(params, this.toColumnValue(key, value));
+  }
+
+  toColumnValue(key, value) {
+    return typeof value === 'undefined' ? null : value;
+  }
+
+  fromRow(row) {
+    return row;
+  }
+
+  fillNulls(row, fieldNames) {
+    fieldNames.forEach(key => {
+      if (typeof row[key] === 'undefined') {
+        row[key] = null;
+      }
+    });
+    return row;
+  }
+
+  toItem(row, fieldNames) {
+    return this.fillNulls(this.fromRow(row), fieldNames);
+  }
+
+  getColumns(fieldNames) {
+    const columns = _.intersection(fieldNames, Object.keys(this.columns));
+    return _.union(['id'], columns).map(quote).join(', ');
+  }
+
+  getWhere(filters, conditions, params) {
+    const clauses = Object.keys(filters).map(key => {
+      if (typeof this.columns[key] === 'undefined') {
+        throw new HttpError(400, `Unknown field "${key}" in filters`);
+      }
+      return this.getCondition({field: key, operator: 'eq', value: filters[key]}, params);
+    });
+    (conditions || []).forEach(condition => {
+      clauses.push(this.getCondition(condition, params));
+    });
+    return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  }
+
+  /**
+   * Get the SQL expression for a condition.
+   *
+   * Nulls are handled as in Model.matches(), thus "ne" matches nulls and
+   * comparisons never do.
+   */
+  getCondition(condition, params) {
+    const column = quote(condition.field);
+    const value = condition.value;
+    const comparisons = {gt: '>', gte: '>=', lt: '<', lte: '<='};
+    switch (condition.operator) {
+      case 'or':
+        if (value.length === 0) {
+          return '1 = 0';
+        }
+        return '(' + value.map(branch => {
+          return branch.length === 0 ? '1 = 1' : '(' + branch.map(item => this.getCondition(item, params)).join(' AND ') + ')';
+        }).join(' OR ') + ')';
+      case 'eq':
+        return value === null ? `${column} IS NULL` : `${column} = ${this.getParam(params, condition.field, value)}`;
+      case 'ne':
+        return value === null ? `${column} IS NOT NULL` : `(${column} IS NULL OR ${column} <> ${this.getParam(params, condition.field, value)})`;
+      case 'in':
+        if (value.length === 0) {
+          return '1 = 0';
+        }
+        return `${column} IN (${value.map(option => this.getParam(params, condition.field, option)).join(', ')})`;
+      case 'contains':
+        if (this.jsonSchema.properties[condition.field].type === 'array') {
+          return this.getArrayContains(column, value, params);
+        }
+        return this.getStringContains(column, value, params);
+      default:
+        return `${column} ${comparisons[condition.operator]} ${this.getParam(params, condition.field, value)}`;
+    }
+  }
+
+  /**
+   * Get the expression for a string column containing a substring.
+   */
+  getStringContains() {
+    throw new Error('SQL engines must implement getStringContains()');
+  }
+
+  /**
+   * Get the expression for an array column containing a value.
+   */
+  getArrayContains() {
+    throw new Error('SQL engines must implement getArrayContains()');
+  }
+
+  read(data, fieldNames) {
+    const params = [];
+    const sql = `SELECT ${this.getColumns(fieldNames)} FROM ${this.table} WHERE "id" = ${this.addParam(params, data.id)}`;
+    return this.query(sql, params).then(rows => {
+      return rows.length === 0 ? null : this.toItem(rows[0], fieldNames);
+    });
+  }
+
+  readMany(ids, fieldNames) {
+    const params = [];
+    const placeholders = ids.map(id => this.addParam(params, id)).join(', ');
+    const sql = `SELECT ${this.getColumns(fieldNames)} FROM ${this.table} WHERE "id" IN (${placeholders})`;
+    return this.query(sql, params).then(rows => {
+      const items = _.keyBy(rows.map(row => this.fromRow(row)), 'id');
+      return ids.map(id => typeof items[id] === 'undefined' ? null : this.fillNulls(items[id], fieldNames));
+    });
+  }
+
+  count(filters, conditions) {
+    const params = [];
+    const where = this.getWhere(filters, conditions, params);
+    return this.query(`SELECT COUNT(*) AS "count" FROM ${this.table}${where}`, params).then(rows => {
+      return parseInt(rows[0].count, 10);
+    });
+  }
+
+  /**
+   * Get the ORDER BY clause for the sort order.
+   *
+   * Nulls come last in ascending order, as in Model.sortItems().
+   */
+  getOrderBy(order, params) {
+    if (order === null) {
+      return '';
+    }
+    return ` ORDER BY ${this.getOrderKeys(order, params).join(', ')}`;
+  }
+
+  /**
+   * Get the expressions for the ORDER BY clause.
+   */
+  getOrderKeys(order, params) {
+    return order.map(key => {
+      const direction = key.ascending ? 'ASC' : 'DESC';
+      const value = () => {
+        if (key.path.length === 1) {
+          return quote(key.field);
+        }
+        return this.getPathValue(quote(key.path[0]), key.path.slice(1), params);
+      };
+      return `${value()} IS NULL ${direction}, ${value()} ${direction}`;
+    });
+  }
+
+  /**
+   * Get the expression for a property in a JSON column.
+   */
+  getPathValue() {
+    throw new Error('SQL engines must implement getPathValue()');
+  }
+
+  list(filters, fieldNames, options) {
+    const params = [];
+    const where = this.getWhere(filters, options.conditions, params);
+    let sql = `SELECT ${this.getColumns(fieldNames)} FROM ${this.table}${where}`;
+    sql += this.getOrderBy(options.order, params);
+    sql += ` LIMIT ${this.addParam(params, options.limit)} OFFSET ${this.addParam(params, options.offset)}`;
+    return this.query(sql, params).then(rows => {
+      return rows.map(row => this.toItem(row, fieldNames));
+    });
+  }
+
+  /**
+   * List items for multiple values of a field.
+   *
+   * The lists for all values are combined with UNION ALL in a single query,
+   * as window functions are not available in all SQLite versions. Rows are
+   * sorted again on the index of their value, as the order of combined rows
+   * is not defined. Large batches are split to stay within the limits of
+   * SQLite on compound queries and parameters.
+   */
+  listMany(field, values, filters, fieldNames, options) {
+    return Promise.all(_.chunk(values, batchSize).map(chunk => {
+      return this.listChunk(field, chunk, filters, fieldNames, options);
+    })).then(_.flatten);
+  }
+
+  listChunk(field, values, filters, fieldNames, options) {
+    const params = [];
+    const order = options.order || [];
+    const columns = this.getColumns(_.union(fieldNames, order.map(key => key.path[0])));
+    const selects = values.map((value, index) => {
+      const where = this.getWhere(_.assign({}, filters, {[field]: value}), options.conditions, params);
+      let sql = `SELECT ${columns}, ${index} AS "_group" FROM ${this.table}${where}`;
+      sql += this.getOrderBy(options.order, params);
+      sql += ` LIMIT ${this.addParam(params, options.limit)} OFFSET ${this.addParam(params, options.offset)}`;
+      return `SELECT * FROM (${sql}) AS "list${index}"`;
+    });
+    const keys = _.concat('"_group"', this.getOrderKeys(order, params));
+    const sql = `SELECT * FROM (${selects.join(' UNION ALL ')}) AS "lists" ORDER BY ${keys.join(', ')}`;
+    return this.query(sql, params).then(rows => {
+      const lists = values.map(() => []);
+      rows.forEach(row => {
+        lists[row._group].push(this.toItem(_.omit(row, '_group'), fieldNames));
+      });
+      return lists;
+    });
+  }
+
+  create(data) {
+    const params = [];
+    const keys = _.intersection(Object.keys(data), Object.keys(this.columns));
+    const placeholders = keys.map(key => this.getParam(params, key, data[key])).join(', ');
+    const sql = `INSERT INTO ${this.table} (${keys.map(quote).join(', ')}) VALUES (${placeholders})`;
+    return this.query(sql, params).then(() => {
+      return data;
+    });
+  }
+
+  update(data) {
+    const id = data.id;
+    const keys = _.intersection(Object.keys(_.omit(data, ['id'])), Object.keys(this.columns));
+    if (keys.length === 0) {
+      return {id};
+    }
+    const params = [];
+    const assignments = keys.map(key => `${quote(key)} = ${this.getParam(params, key, data[key])}`).join(', ');
+    const sql = `UPDATE ${this.table} SET ${assignments} WHERE "id" = ${this.addParam(params, id)}`;
+    return this.query(sql, params).then(() => {
+      return {id};
+    });
+  }
+
+  remove(data) {
+    const params = [];
+    return this.query(`DELETE FROM ${this.table} WHERE "id" = ${this.addParam(params, data.id)}`, params).then(() => {
+      return {id: data.id};
+    });
+  }
+}
+
+module.exports = SqlModel;
@@ -0,0 +1,42 @@
+'use strict';
+
+const Ids = require('./ids');
+
+class SqliteSequence {
+  /**
+   * Initialize sequence.
+   *
+   * @param string name
+   *   Sequence name, which is the model name.
+   * @param Promise connection
+   *   Promise for a connection with run() and get() methods.
+   */
+  constructor(name, connection) {
+    this.name = name;
+    this.connection = connection;
+
+    // Increments are queued to prevent handing out the same id twice
+    // when multiple items are created at once.
+    this.queue = Promise.resolve();
+  }
+
+  get() {
+    const result = this.queue.then(() => {
+      return this.connection;
+    }).then(conn => {
+      return conn.run('CREATE TABLE IF NOT EXISTS "_sequences" ("name" TEXT PRIMARY KEY, "value" INTEGER NOT NULL)').then(() => {
+        return conn.run('INSERT OR IGNORE INTO "_sequences" ("name", "value") VALUES (?, 0)', [this.name]);
+      }).then(() => {
+        return conn.run('UPDATE "_sequences" SET "value" = "value" + 1 WHERE "name" = ?', [this.name]);
+      }).then(() => {
+        return conn.get('SELECT "value" FROM "_sequences" WHERE "name" = ?', [this.name]);
+      });
+    }).then(row => {
+      return new Ids(row.value).id;
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = SqliteSequence;
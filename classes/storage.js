@@ -11,13 +11,25 @@ const Models = require('./models');
 const Query = require('./query');
 
 class Storage {
-  constructor({Config}) {
+  constructor({Config, HttpCache}) {
+    // All outbound HTTP requests from engines and scripts use this cache.
+    this.httpCache = HttpCache;
     this.options = Config.get('/storage');
     this.options = _.defaults(this.options, {
       databases: {},
       cacheDir: '/tmp/cache',
       modelsDir: 'models',
-      scriptsDir: 'scripts'
+      scriptsDir: 'scripts',
+      // Maximum number of read-only fields in a query that are executed at once.
+      queryConcurrency: 10
+    });
+    // Limits for queries sent as GraphQL documents. The list limit applies to
+    // the "limit" and "first" parameters. Models can set a lower limit with the
+    // "maxLimit" property. The cost counts the items that may be loaded.
+    this.options.limits = _.defaults(this.options.limits, {
+      depth: 10,
+      list: 1000,
+      cost: 50000
     });
     this.options.databases = _.defaults(this.options.databases, {
       internal: {}
@@ -54,12 +66,16 @@ class Storage {
     this.models = new Models(items, this.options, this);
   }
 
-  query(query, context, args) {
-    return new Query(this.models, query, context, args).execute();
+  query(query, context, args, operationName) {
+    return new Query(this.models, query, context, args, operationName).execute();
+  }
+
+  subscribe(query, context, args, listener, operationName) {
+    return new Query(this.models, query, context, args, operationName).subscribe(listener);
   }
 }
 
 Storage.singleton = true;
-Storage.require = ['Config'];
+Storage.require = ['Config', 'HttpCache'];
 
 module.exports = Storage;
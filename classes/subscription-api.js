@@ -0,0 +1,127 @@
+'use strict';
+
+const Readable = require('stream').Readable;
+const Url = require('url');
+
+const _ = require('lodash');
+const HttpError = require('http-errors');
+
+/**
+ * Live queries using Server-Sent Events.
+ *
+ * Clients subscribe to a list query with GET /subscriptions?q={query},
+ * optionally with JSON encoded variables in the "variables" parameter and
+ * the operation to use in the "operationName" parameter.
+ * Each change in the list results is sent as an event named "create",
+ * "update" or "remove", with the item in the "data" property.
+ * Failures are sent as an "error" event with the "errors" property. The
+ * stream is ended when the engine closes the subscription.
+ *
+ * The endpoint is a plain HTTP route instead of a BlueGate route, as the
+ * subscription must be closed when the client disconnects. It uses the same
+ * authentication as the other routes.
+ */
+class SubscriptionApi {
+  constructor(app, storage, options, authentication) {
+    this.app = app;
+    this.storage = storage;
+    this.authentication = authentication;
+    this.options = _.defaults(options, {
+      // Interval for sending comments that keep the connection open.
+      heartbeat: 30000
+    });
+    this.streams = new Set();
+
+    app.use((req, res, next) => {
+      const url = Url.parse(req.url, true);
+      if (req.method !== 'GET' || url.pathname.replace(/(.)\/+$/, '$1') !== '/subscriptions') {
+        next();
+        return;
+      }
+      this.subscribe(req, res, url.query).catch(err => {
+        if (!(err instanceof HttpError.HttpError)) {
+          next(err);
+          return;
+        }
+        let errors = ['An error occurred. Please try again later.'];
+        if (err.expose) {
+          errors = err.errors instanceof Array ? err.errors : [{message: err.message}];
+        }
+        res.writeHead(err.status, {'Content-Type': 'application/json; charset=utf-8'});
+        res.end(JSON.stringify({errors}));
+      });
+    });
+  }
+
+  /**
+   * Start a subscription and send its events to the response.
+   */
+  subscribe(req, res, params) {
+    const query = typeof params.q === 'string' ? params.q : '{}';
+    const operationName = typeof params.operationName === 'string' && params.operationName ? params.operationName : undefined;
+    let args;
+    try {
+      args = JSON.parse(typeof params.variables === 'string' ? params.variables : '{}');
+    } catch (err) {
+      return Promise.reject(new HttpError(400, 'Variables must be valid JSON'));
+    }
+    const stream = new Readable({
+      read() {}
+    });
+    const send = (type, data) => {
+      stream.push(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    // The client may disconnect before the subscription is started.
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      this.close(stream);
+    });
+    return this.authentication.authenticate(req.headers).then(result => {
+      return this.storage.subscribe(query, result.context, args, (type, data) => {
+        if (type === 'error') {
+          const errors = data instanceof HttpError.HttpError && data.expose ? [{message: data.message}] : ['An error occurred'];
+          send('error', {errors});
+        } else if (type === 'close') {
+          this.close(stream);
+        } else {
+          send(type, {data});
+        }
+      }, operationName);
+    }).then(subscription => {
+      stream.subscription = subscription;
+      stream.heartbeat = setInterval(() => stream.push(':\n\n'), this.options.heartbeat);
+      this.streams.add(stream);
+      if (closed) {
+        return this.close(stream);
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        // Disables compression, which would buffer the events.
+        'Cache-Control': 'no-cache, no-transform'
+      });
+      stream.pipe(res);
+      // Send a comment to flush the headers.
+      stream.push(':\n\n');
+    });
+  }
+
+  close(stream) {
+    if (!this.streams.has(stream)) {
+      return Promise.resolve();
+    }
+    this.streams.delete(stream);
+    clearInterval(stream.heartbeat);
+    stream.push(null);
+    return Promise.resolve(stream.subscription.close());
+  }
+
+  /**
+   * Close all subscriptions. Open connections would block the shutdown.
+   */
+  closeAll() {
+    return Promise.all(Array.from(this.streams).map(stream => this.close(stream)));
+  }
+}
+
+module.exports = SubscriptionApi;
@@ -0,0 +1,151 @@
+'use strict';
+
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+
+/**
+ * Transaction for the operations in a query.
+ *
+ * Models are replaced by a copy that executes its operations within the
+ * transaction. Engines with native transactions provide this copy with
+ * their begin() method. Changes on other models are undone with
+ * compensating actions, which are recorded per operation and executed in
+ * reverse order on rollback. Native transactions on multiple databases are
+ * committed one by one, thus a failing commit may leave the databases that
+ * were committed before it changed.
+ */
+class Transaction {
+  constructor() {
+    this.models = new Map();
+    this.handles = new Map();
+    this.actions = [];
+  }
+
+  /**
+   * Get the copy of a model that executes operations in this transaction.
+   */
+  getModel(model) {
+    if (!this.models.has(model)) {
+      const promise = Bluebird.resolve(model.ready()).then(() => {
+        return model.begin(this);
+      }).then(transactionModel => {
+        return transactionModel || this.getCompensatingModel(model);
+      });
+      this.models.set(model, promise);
+    }
+    return this.models.get(model);
+  }
+
+  /**
+   * Get the native transaction for a database.
+   *
+   * Starts the transaction on first use. The key identifies the database,
+   * as models in the same database share their transaction. The start
+   * function resolves to an object with the "commit" and "rollback"
+   * functions.
+   */
+  getHandle(key, start) {
+    if (!this.handles.has(key)) {
+      this.handles.set(key, Bluebird.try(start));
+    }
+    return this.handles.get(key);
+  }
+
+  /**
+   * Get a copy of the model that records how to undo its changes.
+   *
+   * Items are read before updating or removing these. Updates are undone by
+   * writing back all fields and removals by creating the item with its
+   * original id.
+   */
+  getCompensatingModel(model) {
+    const fieldNames = Object.keys(model.jsonSchema.properties);
+    const read = id => Bluebird.resolve(model.read({id}, fieldNames));
+    const output = Object.create(model);
+    output.create = data => {
+      return Bluebird.resolve(model.create(data)).then(result => {
+        this.actions.push(() => model.remove({id: data.id}));
+        return result;
+      });
+    };
+    output.update = data => {
+      return read(data.id).then(item => {
+        return Bluebird.resolve(model.update(data)).then(result => {
+          if (item !== null) {
+            this.actions.push(() => model.update(item));
+          }
+          return result;
+        });
+      });
+    };
+    output.remove = data => {
+      return read(data.id).then(item => {
+        return Bluebird.resolve(model.remove(data)).then(result => {
+          if (item !== null) {
+            this.actions.push(() => model.create(_.omitBy(item, _.isNull)));
+          }
+          return result;
+        });
+      });
+    };
+    return output;
+  }
+
+  /**
+   * Commit all native transactions.
+   *
+   * When a commit fails, the transactions that are not committed yet are
+   * rolled back and the compensating actions are executed. Rejects with the
+   * error of the commit afterwards.
+   */
+  commit() {
+    const keys = Array.from(this.handles.keys());
+    return Bluebird.each(keys, key => {
+      return this.handles.get(key).then(handle => {
+        // Transactions cannot be rolled back after their commit.
+        this.handles.delete(key);
+        return handle.commit();
+      });
+    }).then(() => {
+      this.actions = [];
+    }, err => {
+      return this.rollback().catch(_.noop).then(() => {
+        throw err;
+      });
+    });
+  }
+
+  /**
+   * Undo all changes.
+   *
+   * All compensating actions are executed and all native transactions are
+   * rolled back, also when some of these fail. Rejects with the first error
+   * afterwards, as changes may not be undone. Changes are only undone once,
+   * thus calling this again has no effect.
+   */
+  rollback() {
+    const errors = [];
+    const actions = _.reverse(this.actions.slice());
+    // Transactions that failed to start have nothing to roll back.
+    const handles = Array.from(this.handles.values()).map(handle => handle.catch(() => null));
+    this.actions = [];
+    this.handles.clear();
+    return Bluebird.each(actions, action => {
+      return Bluebird.try(action).catch(err => {
+        errors.push(err);
+      });
+    }).then(() => {
+      return Bluebird.each(handles, handle => {
+        return handle === null ? null : Bluebird.try(() => handle.rollback()).catch(err => {
+          errors.push(err);
+        });
+      });
+    }).then(() => {
+      if (errors.length > 0) {
+        throw errors[0];
+      }
+    });
+  }
+}
+
+module.exports = Transaction;
@@ -5,15 +5,45 @@ const Url = require('url');
 const _ = require('lodash');
 const Bluebird = require('bluebird');
 const fetch = require('node-fetch');
+const HttpError = require('http-errors');
 
 const Script = require('../classes/script');
 const Model = require('../classes/model');
+const HttpAuth = require('../classes/http-auth');
+const CircuitBreaker = require('../classes/circuit-breaker');
+
+// Credentials and access tokens are shared between models in the same database.
+const authentications = new Map();
+
+const getAuthentication = function(database) {
+  if (!authentications.has(database)) {
+    authentications.set(database, new HttpAuth(database));
+  }
+  return authentications.get(database);
+};
+
+// Circuit breakers are shared between models in the same database.
+const circuitBreakers = new Map();
+
+const getCircuitBreaker = function(database) {
+  if (!circuitBreakers.has(database)) {
+    circuitBreakers.set(database, new CircuitBreaker(database.circuitBreaker));
+  }
+  return circuitBreakers.get(database);
+};
+
+// Only requests with these methods are retried.
+const idempotentMethods = ['GET', 'HEAD', 'PUT', 'DELETE'];
 
 class Http extends Model {
   constructor(modelData, database, internalDatabase, storage) {
     super(modelData, database, internalDatabase);
 
     this.storage = storage;
+    // Keep the order of the remote source, unless sorted explicitly.
+    this.defaultSort = null;
+    // Ids are generated by the remote server.
+    this.sequenceIds = false;
 
     database = _.defaults(database, {
       parameters: {}
@@ -21,8 +51,14 @@ class Http extends Model {
 
     this.dbName = database.name;
     this.parameters = database.parameters;
+    this.auth = getAuthentication(database);
+    this.circuitBreaker = getCircuitBreaker(database);
 
-    this.httpOperations = _.defaults(modelData.jsonSchema.httpOperations, {});
+    this.httpOperations = _.defaults(modelData.jsonSchema.httpOperations, {
+      timeout: 10000,
+      retries: 2,
+      retryDelay: 100
+    });
     if (typeof this.httpOperations.list !== 'undefined') {
       this.httpOperations.list = _.defaults(this.httpOperations.list, {
         maxPages: 1,
@@ -43,6 +79,15 @@ class Http extends Model {
         }, this.storage);
       }
     }
+    if (typeof this.httpOperations.count !== 'undefined') {
+      if (typeof this.httpOperations.count.template !== 'object') {
+        throw new Error('Model.httpOperations.count.template is not defined or not an object');
+      }
+      this.countScript = new Script({
+        name: `${this.name}: count`,
+        steps: this.httpOperations.count.template
+      }, this.storage);
+    }
     if (typeof this.httpOperations.read !== 'undefined') {
       this.httpOperations.read = _.defaults(this.httpOperations.read, {});
       if (typeof this.httpOperations.read.template !== 'object') {
@@ -53,6 +98,54 @@ class Http extends Model {
         steps: this.httpOperations.read.template
       }, this.storage);
     }
+
+    this.writeScripts = {};
+    const methods = {create: 'POST', update: 'PUT', remove: 'DELETE'};
+    Object.keys(methods).forEach(operation => {
+      if (typeof this.httpOperations[operation] === 'undefined') {
+        return;
+      }
+      this.httpOperations[operation] = _.defaults(this.httpOperations[operation], {
+        method: methods[operation]
+      });
+      this.writeScripts[operation] = {};
+      ['body', 'template'].forEach(key => {
+        const steps = this.httpOperations[operation][key];
+        if (typeof steps === 'undefined') {
+          return;
+        }
+        if (!(steps instanceof Array)) {
+          throw new Error(`Model.httpOperations.${operation}.${key} is not an array`);
+        }
+        this.writeScripts[operation][key] = new Script({
+          name: `${this.name}: ${operation} ${key}`,
+          steps
+        }, this.storage);
+      });
+    });
+
+    // Tokens in the uris that are not filled from the database parameters
+    // or the model properties are passed as arguments.
+    const reserved = _.concat(['id', 'offset'], Object.keys(this.parameters), Object.keys(this.jsonSchema.properties));
+    ['read', 'list', 'count'].forEach(operation => {
+      const uri = typeof this.httpOperations[operation] === 'undefined' ? '' : this.httpOperations[operation].uri;
+      (String(uri).match(/\{[^{}]+\}/g) || []).forEach(token => {
+        const name = token.slice(1, -1);
+        if (reserved.indexOf(name) < 0) {
+          this.engineArguments[name] = {};
+        }
+      });
+    });
+
+    if (typeof this.httpOperations.errorTemplate !== 'undefined') {
+      if (!(this.httpOperations.errorTemplate instanceof Array)) {
+        throw new Error('Model.httpOperations.errorTemplate is not an array');
+      }
+      this.errorScript = new Script({
+        name: `${this.name}: error`,
+        steps: this.httpOperations.errorTemplate
+      }, this.storage);
+    }
   }
 
   ready() {
@@ -73,7 +166,7 @@ class Http extends Model {
 
   getRequestUri(method, parameters) {
     if (typeof this.httpOperations[method] === 'undefined') {
-      throw new Error('Read method is not configured');
+      throw new Error(`Operation "${method}" is not configured`);
     }
     let uriTemplate = this.httpOperations[method].uri;
     uriTemplate = this.replaceTokens(uriTemplate, _.pick(this.parameters, 'baseUri'), false);
@@ -81,17 +174,163 @@ class Http extends Model {
     return this.replaceTokens(uriTemplate, parameters);
   }
 
+  /**
+   * Fetch uri using the shared HttpCache of the storage.
+   */
+  fetch(uri, options) {
+    if (this.storage && this.storage.httpCache) {
+      return this.storage.httpCache.fetch(uri, options);
+    }
+    return fetch(uri, options);
+  }
+
+  /**
+   * Get timeout and retry settings for operation.
+   *
+   * Settings in the operation override those in httpOperations.
+   */
+  getRequestSettings(operation) {
+    const keys = ['timeout', 'retries', 'retryDelay'];
+    return _.defaults(_.pick(this.httpOperations[operation], keys), _.pick(this.httpOperations, keys));
+  }
+
+  /**
+   * Fetch uri and parse the response body.
+   *
+   * Resolves to an object with the response headers, status and body.
+   * JSON responses are decoded, other bodies are returned as text.
+   * Credentials for the database are added to the request.
+   *
+   * Requests are aborted after the configured timeout. Network errors,
+   * timeouts and 5xx responses are retried with exponential backoff for
+   * idempotent methods. Requests fail immediately with a 503 error while
+   * the circuit breaker of the database is open.
+   */
+  request(operation, uri, options) {
+    const settings = this.getRequestSettings(operation);
+    options = _.assign({method: 'GET'}, options, {timeout: settings.timeout});
+    const retries = idempotentMethods.indexOf(options.method) >= 0 ? settings.retries : 0;
+    const attempt = index => {
+      return this.circuitBreaker.call(() => this.send(uri, options)).catch(err => {
+        if (err.retryable && index < retries) {
+          const delay = settings.retryDelay * Math.pow(2, index);
+          return Bluebird.delay(delay).then(() => attempt(index + 1));
+        }
+        throw err;
+      });
+    };
+    return attempt(0);
+  }
+
+  /**
+   * Send a single request.
+   *
+   * Errors that may be resolved by retrying have the "retryable" flag.
+   */
+  send(uri, options, refresh = true) {
+    let response;
+    return this.auth.apply(uri, options).then(request => {
+      return this.fetch(request.uri, request.options).then(_response => {
+        response = _response;
+        const mime = (response.headers.get('Content-Type') || '').replace(/;.+$/, '');
+        if (mime === 'application/json') {
+          return response.json();
+        }
+        return response.text();
+      }).then(body => {
+        response.body = body;
+      }).catch(err => {
+        if (err.type === 'request-timeout' || err.type === 'body-timeout') {
+          throw new HttpError(504, `Timeout fetching "${uri}"`, {expose: true, retryable: true});
+        }
+        throw new HttpError(502, `Unable to fetch "${uri}"`, {expose: true, retryable: err.type !== 'invalid-json'});
+      });
+    }).then(() => {
+      if (response.status === 401 && refresh && this.auth.canRefresh()) {
+        // The access token may be revoked. Retry once with a new token.
+        this.auth.invalidate();
+        return this.send(uri, options, false);
+      }
+      if (response.status >= 300) {
+        return this.getError(response).then(err => {
+          throw err;
+        });
+      }
+      return {
+        headers: response.headers,
+        status: response.status,
+        body: response.body
+      };
+    });
+  }
+
+  /**
+   * Get error for an error response from the remote server.
+   *
+   * The errorTemplate script gets the response status, headers and body
+   * and may return an object with the status and message for the error.
+   * A generic 502 error is used when the template returns null or when
+   * the model has no errorTemplate.
+   */
+  getError(response) {
+    const retryable = response.status >= 500;
+    const defaultError = new HttpError(502, 'Retrieved error code from remote server: ' + response.status, {
+      expose: true,
+      retryable
+    });
+    if (typeof this.errorScript === 'undefined') {
+      return Bluebird.resolve(defaultError);
+    }
+    return this.errorScript.clone().run({
+      status: response.status,
+      headers: response.headers,
+      body: response.body
+    }).then(output => {
+      if (output === null || typeof output !== 'object') {
+        return defaultError;
+      }
+      const status = parseInt(output.status, 10);
+      if (isNaN(status) || status < 400 || status > 599) {
+        return defaultError;
+      }
+      const message = typeof output.message === 'string' ? output.message : defaultError.message;
+      return new HttpError(status, message, {expose: true, retryable});
+    });
+  }
+
+  /**
+   * Validate item produced by a template.
+   *
+   * Properties that are not in the model are removed. Throws a 502 error
+   * when the item does not match the model schema, which indicates that
+   * the remote server changed its output format.
+   */
+  validateOutput(item) {
+    item = _.pick(item, Object.keys(this.jsonSchema.properties));
+    const validation = this.validateFull(this.removeNulls(item));
+    if (!validation.valid) {
+      throw new HttpError(502, `Invalid response from remote server for ${this.name}`, {
+        expose: true,
+        errors: this.translateErrors(validation.errors)
+      });
+    }
+    return item;
+  }
+
   castTypes(data) {
     Object.keys(this.jsonSchema.properties).forEach(name => {
       if (typeof data[name] === 'undefined' || data[name] === null) {
         return;
       }
       const type = this.jsonSchema.properties[name].type;
+      // Values that cannot be parsed are left as is and fail validation.
       if (type === 'integer') {
-        data[name] = parseInt(data[name], 10);
+        const value = parseInt(data[name], 10);
+        data[name] = isNaN(value) ? data[name] : value;
       }
       if (type === 'number' || type === 'float') {
-        data[name] = parseFloat(data[name], 10);
+        const value = parseFloat(data[name], 10);
+        data[name] = isNaN(value) ? data[name] : value;
       }
       if (type === 'boolean') {
         data[name] = Boolean(data[name]);
@@ -106,21 +345,7 @@ class Http extends Model {
   read(data) {
     const uriTemplate = this.getRequestUri('read', _.omit(data, 'id'));
     const uri = uriTemplate.split('{id}').join(data.id);
-    let response;
-    return fetch(uri).then(_response => {
-      response = _response;
-      if (response.headers.get('Content-Type') === 'application/json') {
-        return response.json();
-      }
-      return response.text();
-    }).then(body => {
-      response.body = body;
-    }).catch(() => {
-      throw new Error(`Unable to fetch "${uri}"`);
-    }).then(() => {
-      if (response.status >= 300) {
-        throw new Error('Retrieved error code from remote server: ' + response.status);
-      }
+    return this.request('read', uri).then(response => {
       const input = {
         headers: response.headers,
         body: response.body
@@ -129,23 +354,48 @@ class Http extends Model {
     }).then(output => {
       if (output !== null) {
         output.id = data.id;
-        output = this.castTypes(output);
+        output = this.validateOutput(this.castTypes(output));
       }
       return output;
     });
   }
 
+  /**
+   * Run the list template on a response.
+   *
+   * The template returns either an array of items or an object with the
+   * "items" array and the "total" number of items available upstream.
+   * Resolves to an object with items and total, which is null if unknown.
+   */
+  runListTemplate(input) {
+    return this.listScript.clone().run(input).then(output => {
+      if (output instanceof Array) {
+        return {items: output, total: null};
+      }
+      if (output === null || typeof output !== 'object' || !(output.items instanceof Array)) {
+        throw new Error('List template should return an array or an object with items');
+      }
+      const total = parseInt(output.total, 10);
+      return {items: output.items, total: isNaN(total) ? null : total};
+    });
+  }
+
   list(filters, fieldNames, options) {
     const strategy = this.listMoreLinkScript ? 'more-link' : 'pages';
     const offset = options.offset;
     const uriTemplate = this.getRequestUri('list', filters);
     let results = [];
+    let total = null;
     const maxResults = this.httpOperations.list.maxPages * this.httpOperations.list.itemsPerPage;
     let nextUri;
     return Bluebird.resolve(_.range(0, this.httpOperations.list.maxPages)).each(index => {
       if (nextUri === null) {
         return;
       }
+      if (total !== null && offset + results.length >= total) {
+        // All items are fetched according to the total from the list template.
+        return;
+      }
       // The results array should have at least index * itemsPerPage items,
       // if not. the preceding query returned less than itemsPerPage results
       // which means that we already reached the end of the list.
@@ -159,32 +409,15 @@ class Http extends Model {
         } else {
           uri = uriTemplate.split('{offset}').join(results.length + offset + this.httpOperations.list.offsetBase);
         }
-        let response;
-        return fetch(uri).then(_response => {
-          response = _response;
-          const mime = response.headers.get('Content-Type').replace(/;.+$/, '');
-          if (mime === 'application/json') {
-            return response.json();
-          }
-          return response.text();
-        }).then(body => {
-          response.body = body;
-        }).catch(() => {
-          throw new Error(`Unable to fetch "${uri}"`);
-        }).then(() => {
-          if (response.status >= 300) {
-            throw new Error('Retrieved error code from remote server: ' + response.status);
-          }
+        return this.request('list', uri).then(response => {
           input = {
             headers: response.headers,
             body: response.body
           };
-          return this.listScript.clone().run(input);
-        }).then(pageItems => {
-          if (!(pageItems instanceof Array)) {
-            throw new Error('List template should return an array');
-          }
-          results = _.concat(results, pageItems);
+          return this.runListTemplate(input);
+        }).then(page => {
+          results = _.concat(results, page.items);
+          total = page.total === null ? total : page.total;
           if (strategy === 'more-link') {
             return this.listMoreLinkScript.clone().run(input).then(_nextUri => {
               nextUri = _nextUri;
@@ -196,20 +429,125 @@ class Http extends Model {
         });
       }
     }).then(() => {
-      return results.slice(0, maxResults);
+      // The remote server has no notion of our sort parameter.
+      const items = results.slice(0, maxResults).map(item => this.validateOutput(this.castTypes(item)));
+      return this.sortItems(items, options.order);
+    });
+  }
+
+  /**
+   * Count items on the remote server.
+   *
+   * Uses the count operation when defined. Otherwise the first page of the
+   * list is requested, which works if the list template provides a total.
+   */
+  count(filters) {
+    if (typeof this.countScript !== 'undefined') {
+      const uri = this.getRequestUri('count', filters);
+      return this.request('count', uri).then(response => {
+        return this.countScript.clone().run({
+          headers: response.headers,
+          body: response.body
+        });
+      }).then(output => {
+        const count = parseInt(output, 10);
+        if (isNaN(count)) {
+          throw new Error('Count template should return a number');
+        }
+        return count;
+      });
+    }
+    if (typeof this.listScript === 'undefined') {
+      return super.count(filters);
+    }
+    const uri = this.getRequestUri('list', filters).split('{offset}').join(this.httpOperations.list.offsetBase);
+    return this.request('list', uri).then(response => {
+      return this.runListTemplate({
+        headers: response.headers,
+        body: response.body
+      });
+    }).then(page => {
+      if (page.total === null) {
+        return super.count(filters);
+      }
+      return page.total;
+    });
+  }
+
+  /**
+   * Execute a create, update or remove operation on the remote server.
+   *
+   * The request body is generated by the "body" script, which defaults
+   * to all fields except the id. Objects are sent as JSON. The optional
+   * "template" script gets the response headers and body and the input
+   * data and must return the resulting item.
+   */
+  write(operation, data) {
+    if (typeof this.httpOperations[operation] === 'undefined') {
+      const name = operation === 'remove' ? 'delete' : operation;
+      throw new HttpError(400, `Operation "${name}" is not supported by model`);
+    }
+    const definition = this.httpOperations[operation];
+    const scripts = this.writeScripts[operation];
+    const tokens = _.pickBy(_.omit(data, 'id'), value => !_.isObject(value));
+    const uri = this.getRequestUri(operation, tokens).split('{id}').join(data.id);
+    let body;
+    if (scripts.body) {
+      body = scripts.body.clone().run(_.cloneDeep(data));
+    } else {
+      body = operation === 'remove' ? null : _.omit(data, 'id');
+    }
+    return Bluebird.resolve(body).then(body => {
+      const options = {
+        method: definition.method,
+        headers: {},
+        // Writes must reach the upstream, also for hosts that cache POSTs.
+        noCache: true
+      };
+      if (typeof body === 'string') {
+        options.body = body;
+      } else if (body !== null && typeof body !== 'undefined') {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+      }
+      return this.request(operation, uri, options);
+    }).then(response => {
+      if (!scripts.template) {
+        return null;
+      }
+      return scripts.template.clone().run({
+        headers: response.headers,
+        body: response.body,
+        data
+      });
     });
   }
 
   create(data) {
-    return data;
+    return this.write('create', data).then(output => {
+      if (output === null || typeof output !== 'object') {
+        return data;
+      }
+      // Ids are generated by the remote server.
+      output.id = typeof output.id === 'undefined' ? null : output.id;
+      return this.validateOutput(this.castTypes(output));
+    });
   }
 
   update(data) {
-    return data;
+    return this.write('update', data).then(output => {
+      if (output === null || typeof output !== 'object') {
+        return {id: data.id};
+      }
+      output.id = data.id;
+      return this.validateOutput(this.castTypes(output));
+    });
   }
 
   remove(data) {
-    return {id: data.id};
+    return this.write('remove', data).then(() => {
+      return {id: data.id};
+    });
   }
 }
 
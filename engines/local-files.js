@@ -5,6 +5,7 @@ const Path = require('path');
 const _ = require('lodash');
 const Bluebird = require('bluebird');
 const Fs = Bluebird.promisifyAll(require('fs-extra'));
+const HttpError = require('http-errors');
 
 const Model = require('../classes/model');
 
@@ -23,6 +24,13 @@ const Model = require('../classes/model');
  *   object with the following properties:
  *   * finished (boolean)
  *   * size (int)
+ *
+ * An index of all ``.meta`` files is loaded on
+ * startup and kept up to date on changes. Lists
+ * and counts are served from this index.
+ *
+ * Files cannot be deleted in transactions, as
+ * their contents cannot be restored on rollback.
  */
 class LocalFiles extends Model {
   constructor(modelData, database, internalDatabase) {
@@ -34,6 +42,37 @@ class LocalFiles extends Model {
 
     this.directory = database.directory;
     this.privateProperties = ['_parts'];
+    this.engineProperties = {
+      finished: {type: 'boolean', description: 'Indicates if file is uploaded and complete.'}
+    };
+
+    this.index = {};
+    this.nativeConditions = true;
+    this._ready = this.buildIndex();
+  }
+
+  /**
+   * Read all metadata files into the index.
+   */
+  buildIndex() {
+    return Fs.readdirAsync(this.directory).catch(() => {
+      // The directory is created when the first file is added.
+      return [];
+    }).each(subdir => {
+      const dir = Path.join(this.directory, subdir);
+      return Fs.statAsync(dir).then(stats => {
+        return stats.isDirectory() ? Fs.readdirAsync(dir) : [];
+      }).each(file => {
+        const match = file.match(/^(.+)\.meta$/);
+        if (match) {
+          return Fs.readFileAsync(Path.join(dir, file)).then(contents => {
+            this.index[match[1]] = _.omit(JSON.parse(contents), this.privateProperties);
+          }).catch(() => {
+            // Skip unreadable or incomplete metadata files.
+          });
+        }
+      });
+    });
   }
 
   getDirectory(id) {
@@ -49,14 +88,56 @@ class LocalFiles extends Model {
   }
 
   ready() {
-    return true;
+    return Bluebird.resolve(this._ready);
+  }
+
+  getMetaFilename(id) {
+    return Path.join(this.getDirectory(id), id + '.meta');
+  }
+
+  readMeta(id) {
+    return Fs.readFileAsync(this.getMetaFilename(id)).then(contents => {
+      return JSON.parse(contents);
+    }).catch(() => {
+      throw new Error('File not found');
+    });
+  }
+
+  writeMeta(data) {
+    return this.ensureDirectory(data.id).then(() => {
+      return Fs.writeFileAsync(this.getMetaFilename(data.id), JSON.stringify(data));
+    }).then(() => {
+      this.index[data.id] = _.omit(data, this.privateProperties);
+    });
+  }
+
+  fillNulls(row, fieldNames) {
+    fieldNames.forEach(key => {
+      if (typeof row[key] === 'undefined') {
+        row[key] = null;
+      }
+    });
+    return row;
+  }
+
+  filter(filters, conditions) {
+    return _.values(this.index).filter(item => this.matches(item, filters, conditions));
+  }
+
+  count(filters, conditions) {
+    return this.filter(filters, conditions).length;
+  }
+
+  list(filters, fieldNames, options) {
+    const items = this.sortItems(this.filter(filters, options.conditions), options.order);
+    return items.slice(options.offset, options.offset + options.limit).map(item => {
+      return this.fillNulls(_.cloneDeep(_.pick(item, fieldNames)), fieldNames);
+    });
   }
 
   read(data) {
-    const dir = this.getDirectory(data.id);
-    const filename = Path.join(dir, data.id + '.meta');
-    return Fs.readFileAsync(filename).then(contents => {
-      return _.omit(JSON.parse(contents), this.privateProperties);
+    return this.readMeta(data.id).then(contents => {
+      return _.omit(contents, this.privateProperties);
     }).then(data => {
       Object.keys(this.jsonSchema.properties).forEach(key => {
         if (typeof data[key] === 'undefined') {
@@ -72,27 +153,22 @@ class LocalFiles extends Model {
   create(data) {
     data.finished = false;
     data._parts = [];
-    return this.ensureDirectory(data.id).then(dir => {
-      const filename = Path.join(dir, data.id + '.meta');
-      return Fs.writeFileAsync(filename, JSON.stringify(data));
-    }).then(() => {
+    return this.writeMeta(data).then(() => {
       return _.omit(data, this.privateProperties);
     });
   }
 
   update(data) {
-    return this.read({id: data.id}).then(original => {
+    return this.readMeta(data.id).then(original => {
       data = _.defaults(data, original);
-      const dir = this.getDirectory(data.id);
-      const filename = Path.join(dir, data.id + '.meta');
-      return Fs.writeFileAsync(filename, JSON.stringify(data));
+      return this.writeMeta(data);
     }).then(() => {
       return _.omit(data, this.privateProperties);
     });
   }
 
   remove(data) {
-    return this.read({id: data.id}).then(data => {
+    return this.readMeta(data.id).then(data => {
       const files = [];
       const dir = this.getDirectory(data.id);
       files.push(Path.join(dir, data.id + '.meta'));
@@ -103,9 +179,18 @@ class LocalFiles extends Model {
     }).each(file => {
       return Fs.unlinkAsync(file);
     }).then(() => {
+      delete this.index[data.id];
       return {id: data.id};
     });
   }
+
+  begin(transaction) {
+    const model = transaction.getCompensatingModel(this);
+    model.remove = () => {
+      throw new HttpError(400, 'Files cannot be deleted in transactions');
+    };
+    return model;
+  }
 }
 
 module.exports = LocalFiles;
@@ -0,0 +1,266 @@
+'use strict';
+
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const Fs = Bluebird.promisifyAll(require('fs-extra'));
+
+const Model = require('../classes/model');
+const MemorySequence = require('../classes/memory-sequence');
+
+// Stores are shared between all models in the same database.
+const stores = new Map();
+
+const getStore = function(database) {
+  if (stores.has(database)) {
+    return stores.get(database);
+  }
+  const store = {
+    tables: {},
+    sequences: {},
+    writing: null,
+    pending: false
+  };
+  store.ready = Bluebird.resolve().then(() => {
+    if (database.snapshot && Fs.existsSync(database.snapshot)) {
+      return Fs.readFileAsync(database.snapshot).then(contents => {
+        const snapshot = JSON.parse(contents);
+        store.tables = snapshot.tables || {};
+        store.sequences = snapshot.sequences || {};
+      });
+    }
+  });
+  stores.set(database, store);
+  return store;
+};
+
+/**
+ * @doc internals/storage/memory
+ * @title Memory
+ *
+ * Keeps all data in process memory. Mostly useful
+ * for tests and prototyping. When the database has
+ * a ``snapshot`` property, all items and id counters
+ * are loaded from that JSON file on startup and
+ * written back to it after each change.
+ *
+ * Indexes are kept for fields that are ``indexed``
+ * or have a ``reverse`` property. These are used
+ * for filtering lists and counts.
+ *
+ * List queries can be subscribed to. Subscribers
+ * are notified of changes made in this process.
+ */
+class Memory extends Model {
+  constructor(modelData, database, internalDatabase) {
+    super(modelData, database, internalDatabase);
+
+    database = _.defaults(database, {
+      snapshot: null
+    });
+
+    this.snapshot = database.snapshot;
+    this.store = getStore(database);
+    this.sequence = new MemorySequence(this.name, this.store.sequences);
+
+    this.indexedFields = [];
+    Object.keys(this.jsonSchema.properties).forEach(key => {
+      const field = this.jsonSchema.properties[key];
+      if (typeof field.reverse !== 'undefined' || field.indexed === true) {
+        this.indexedFields.push(key);
+      }
+    });
+    this.subscriptions = new Set();
+    this.nativeConditions = true;
+
+    this._ready = this.store.ready.then(() => {
+      // The sequence must use the counters loaded from the snapshot.
+      this.sequence.counters = this.store.sequences;
+      this.store.tables[this.name] = this.store.tables[this.name] || {};
+      this.items = this.store.tables[this.name];
+      this.indexes = {};
+      this.indexedFields.forEach(key => {
+        this.indexes[key] = {};
+      });
+      Object.keys(this.items).forEach(id => {
+        this.addToIndexes(this.items[id]);
+      });
+    });
+  }
+
+  ready() {
+    return Bluebird.resolve(this._ready);
+  }
+
+  getIndexKey(value) {
+    return JSON.stringify(typeof value === 'undefined' ? null : value);
+  }
+
+  addToIndexes(item) {
+    this.indexedFields.forEach(key => {
+      const value = this.getIndexKey(item[key]);
+      this.indexes[key][value] = this.indexes[key][value] || {};
+      this.indexes[key][value][item.id] = true;
+    });
+  }
+
+  removeFromIndexes(item) {
+    this.indexedFields.forEach(key => {
+      const value = this.getIndexKey(item[key]);
+      if (typeof this.indexes[key][value] !== 'undefined') {
+        delete this.indexes[key][value][item.id];
+        if (Object.keys(this.indexes[key][value]).length === 0) {
+          delete this.indexes[key][value];
+        }
+      }
+    });
+  }
+
+  writeSnapshot() {
+    if (!this.snapshot) {
+      return Bluebird.resolve();
+    }
+    const store = this.store;
+    if (store.writing) {
+      // Write again when the current write is finished.
+      store.pending = true;
+      return store.writing;
+    }
+    const contents = JSON.stringify({
+      tables: store.tables,
+      sequences: store.sequences
+    });
+    store.writing = Fs.outputFileAsync(this.snapshot, contents).then(() => {
+      store.writing = null;
+      if (store.pending) {
+        store.pending = false;
+        return this.writeSnapshot();
+      }
+    });
+    return store.writing;
+  }
+
+  fillNulls(row, fieldNames) {
+    fieldNames.forEach(key => {
+      if (typeof row[key] === 'undefined') {
+        row[key] = null;
+      }
+    });
+    return row;
+  }
+
+  filter(filters, conditions) {
+    let ids;
+    const indexedFilters = _.pick(filters, this.indexedFields);
+    if (Object.keys(indexedFilters).length > 0) {
+      // Use the index with the least number of items.
+      Object.keys(indexedFilters).forEach(key => {
+        const matches = Object.keys(this.indexes[key][this.getIndexKey(filters[key])] || {});
+        if (typeof ids === 'undefined' || matches.length < ids.length) {
+          ids = matches;
+        }
+      });
+    } else {
+      ids = Object.keys(this.items);
+    }
+    return ids.map(id => this.items[id]).filter(item => this.matches(item, filters, conditions));
+  }
+
+  /**
+   * Notify subscribers of a change.
+   *
+   * @param object original
+   *   Item before the change, or null when created.
+   * @param object item
+   *   Item after the change, or null when removed.
+   */
+  notify(original, item) {
+    this.subscriptions.forEach(subscription => {
+      const before = original !== null && this.matches(original, subscription.filters, subscription.conditions);
+      const after = item !== null && this.matches(item, subscription.filters, subscription.conditions);
+      if (!before && after) {
+        subscription.listener('create', _.cloneDeep(item));
+      } else if (before && after) {
+        subscription.listener('update', _.cloneDeep(item));
+      } else if (before) {
+        subscription.listener('remove', _.cloneDeep(original));
+      }
+    });
+  }
+
+  subscribe(filters, listener, conditions) {
+    const subscription = {filters, listener, conditions};
+    this.subscriptions.add(subscription);
+    return {
+      close: () => {
+        this.subscriptions.delete(subscription);
+      }
+    };
+  }
+
+  read(data, fieldNames) {
+    if (typeof this.items[data.id] === 'undefined') {
+      return null;
+    }
+    const row = _.cloneDeep(_.pick(this.items[data.id], fieldNames));
+    return this.fillNulls(row, fieldNames);
+  }
+
+  count(filters, conditions) {
+    return this.filter(filters, conditions).length;
+  }
+
+  list(filters, fieldNames, options) {
+    const items = this.sortItems(this.filter(filters, options.conditions), options.order);
+    return items.slice(options.offset, options.offset + options.limit).map(item => {
+      return this.fillNulls(_.cloneDeep(_.pick(item, fieldNames)), fieldNames);
+    });
+  }
+
+  listMany(field, values, filters, fieldNames, options) {
+    const conditions = _.concat(options.conditions || [], {field, operator: 'in', value: values});
+    const groups = _.groupBy(this.sortItems(this.filter(filters, conditions), options.order), field);
+    return values.map(value => {
+      return (groups[value] || []).slice(options.offset, options.offset + options.limit).map(item => {
+        return this.fillNulls(_.cloneDeep(_.pick(item, fieldNames)), fieldNames);
+      });
+    });
+  }
+
+  create(data) {
+    const item = _.cloneDeep(data);
+    this.items[item.id] = item;
+    this.addToIndexes(item);
+    this.notify(null, item);
+    return this.writeSnapshot().then(() => {
+      return data;
+    });
+  }
+
+  update(data) {
+    const id = data.id;
+    if (typeof this.items[id] !== 'undefined') {
+      const original = _.cloneDeep(this.items[id]);
+      this.removeFromIndexes(this.items[id]);
+      this.items[id] = _.assign(this.items[id], _.cloneDeep(_.omit(data, ['id'])));
+      this.addToIndexes(this.items[id]);
+      this.notify(original, this.items[id]);
+    }
+    return this.writeSnapshot().then(() => {
+      return {id};
+    });
+  }
+
+  remove(data) {
+    if (typeof this.items[data.id] !== 'undefined') {
+      const original = this.items[data.id];
+      this.removeFromIndexes(original);
+      delete this.items[data.id];
+      this.notify(original, null);
+    }
+    return this.writeSnapshot().then(() => {
+      return {id: data.id};
+    });
+  }
+}
+
+module.exports = Memory;
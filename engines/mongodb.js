@@ -0,0 +1,270 @@
+'use strict';
+
+const _ = require('lodash');
+const Promise = require('bluebird');
+const Mongo = require('mongodb');
+
+const Model = require('../classes/model');
+const MongoSequence = require('../classes/mongo-sequence');
+
+// Connections are shared between models using the same database.
+const connections = {};
+
+const connect = function(url) {
+  if (typeof connections[url] === 'undefined') {
+    connections[url] = Promise.resolve(Mongo.MongoClient.connect(url)).catch(() => {
+      throw new Error('No connection to database');
+    });
+  }
+  return connections[url];
+};
+
+/**
+ * @doc internals/storage/mongodb
+ * @title MongoDB
+ *
+ * Stores each model in a collection, named after
+ * the model or the ``collection`` property in the
+ * model definition. The ``id`` field is stored as
+ * ``_id``. Existing collections that use ObjectIDs
+ * can be exposed by overriding the ``id`` property
+ * in the model, as the default id format does not
+ * allow ObjectIDs. These are returned as hex strings.
+ *
+ * Indexes are created for fields that are
+ * ``indexed`` or have a ``reverse`` property.
+ * Filter operators are translated to query
+ * operators. Lists of referencing items for
+ * multiple items are read with a single
+ * aggregation.
+ *
+ * Ids for new items are generated from counters
+ * in the ``_sequences`` collection.
+ */
+class MongoDB extends Model {
+  constructor(modelData, database, internalDatabase) {
+    super(modelData, database, internalDatabase);
+
+    database = _.defaults(database, {
+      host: 'localhost',
+      port: 27017,
+      name: 'restapir'
+    });
+    const url = database.url || `mongodb://${database.host}:${database.port}/${database.name}`;
+
+    this.collectionName = modelData.jsonSchema.collection || this.name;
+
+    const ready = connect(url);
+    this.sequence = new MongoSequence(this.name, ready);
+
+    this.indexedFields = [];
+    this.nativeConditions = true;
+    this._ready = ready.then(db => {
+      this.collection = db.collection(this.collectionName);
+      return Promise.resolve(Object.keys(this.jsonSchema.properties)).each(key => {
+        const field = this.jsonSchema.properties[key];
+        if (typeof field.reverse !== 'undefined' || field.indexed === true) {
+          this.indexedFields.push(key);
+          return this.collection.createIndex({[key]: 1});
+        }
+      });
+    });
+  }
+
+  ready() {
+    return Promise.resolve(this._ready);
+  }
+
+  getIdQuery(id) {
+    if (typeof id === 'string' && id.match(/^[0-9a-f]{24}$/)) {
+      return {$in: [id, new Mongo.ObjectID(id)]};
+    }
+    return id;
+  }
+
+  getQuery(filters, conditions) {
+    const query = {};
+    Object.keys(filters).forEach(key => {
+      if (key === 'id') {
+        query._id = this.getIdQuery(filters.id);
+      } else {
+        query[key] = filters[key];
+      }
+    });
+    if (conditions && conditions.length > 0) {
+      query.$and = conditions.map(condition => this.getCondition(condition));
+    }
+    return query;
+  }
+
+  /**
+   * Get the query document for a condition.
+   *
+   * MongoDB treats nulls as in Model.matches(): "ne" matches missing
+   * fields and comparisons never do.
+   */
+  getCondition(condition) {
+    if (condition.operator === 'or') {
+      if (condition.value.length === 0) {
+        return {_id: {$in: []}};
+      }
+      return {$or: condition.value.map(branch => {
+        return branch.length === 0 ? {} : {$and: branch.map(item => this.getCondition(item))};
+      })};
+    }
+    const field = condition.field === 'id' ? '_id' : condition.field;
+    const value = condition.value;
+    if (condition.operator === 'eq') {
+      return {[field]: condition.field === 'id' ? this.getIdQuery(value) : value};
+    }
+    if (condition.operator === 'contains') {
+      if (this.jsonSchema.properties[condition.field].type === 'array') {
+        return {[field]: {$elemMatch: {$eq: value}}};
+      }
+      return {[field]: {$regex: _.escapeRegExp(value)}};
+    }
+    return {[field]: {[`$${condition.operator}`]: value}};
+  }
+
+  getProjection(fieldNames) {
+    const projection = {};
+    _.intersection(fieldNames, Object.keys(this.jsonSchema.properties)).forEach(key => {
+      if (key !== 'id') {
+        projection[key] = 1;
+      }
+    });
+    return projection;
+  }
+
+  fromDocument(document, fieldNames) {
+    const row = _.omit(document, ['_id']);
+    row.id = document._id instanceof Mongo.ObjectID ? document._id.toHexString() : document._id;
+    fieldNames.forEach(key => {
+      if (typeof row[key] === 'undefined') {
+        row[key] = null;
+      }
+    });
+    return row;
+  }
+
+  read(data, fieldNames) {
+    const options = {fields: this.getProjection(fieldNames)};
+    return this.collection.findOne(this.getQuery({id: data.id}), options).then(document => {
+      if (document === null) {
+        return null;
+      }
+      return this.fromDocument(document, fieldNames);
+    });
+  }
+
+  readMany(ids, fieldNames) {
+    const values = _.flatMap(ids, id => {
+      const query = this.getIdQuery(id);
+      return typeof query === 'object' && query !== null ? query.$in : [query];
+    });
+    const cursor = this.collection.find({_id: {$in: values}}, this.getProjection(fieldNames));
+    return cursor.toArray().then(documents => {
+      const items = _.keyBy(documents.map(document => this.fromDocument(document, fieldNames)), 'id');
+      return ids.map(id => typeof items[id] === 'undefined' ? null : items[id]);
+    });
+  }
+
+  count(filters, conditions) {
+    return this.collection.count(this.getQuery(filters, conditions));
+  }
+
+  /**
+   * Get the aggregation stages for the sort order.
+   *
+   * MongoDB sorts nulls and missing fields first. A flag is added per sort
+   * key to put these last in ascending order, as in Model.sortItems().
+   */
+  getSortStages(order) {
+    const flags = {};
+    const sort = {};
+    order.forEach((key, index) => {
+      const path = key.field === 'id' ? '_id' : key.field;
+      const direction = key.ascending ? 1 : -1;
+      flags[`_null${index}`] = {$cond: [{$eq: [{$ifNull: [`$${path}`, null]}, null]}, 1, 0]};
+      sort[`_null${index}`] = direction;
+      sort[path] = direction;
+    });
+    return [{$addFields: flags}, {$sort: sort}];
+  }
+
+  /**
+   * Get the aggregation stages for sorting and paging a list.
+   */
+  getListStages(fieldNames, options) {
+    return _.concat(
+      this.getSortStages(options.order),
+      {$skip: options.offset},
+      {$limit: options.limit},
+      {$project: _.assign({_id: 1}, this.getProjection(fieldNames))}
+    );
+  }
+
+  list(filters, fieldNames, options) {
+    if (options.limit === 0) {
+      return Promise.resolve([]);
+    }
+    const pipeline = _.concat(
+      {$match: this.getQuery(filters, options.conditions)},
+      this.getListStages(fieldNames, options)
+    );
+    return this.collection.aggregate(pipeline).toArray().then(documents => {
+      return documents.map(document => this.fromDocument(document, fieldNames));
+    });
+  }
+
+  /**
+   * List items for multiple values of a field.
+   *
+   * Items for all values are matched at once and split in a facet per value,
+   * which is sorted and paged separately.
+   */
+  listMany(field, values, filters, fieldNames, options) {
+    if (options.limit === 0) {
+      return Promise.resolve(values.map(() => []));
+    }
+    const conditions = _.concat(options.conditions || [], {field, operator: 'in', value: values});
+    const facets = {};
+    values.forEach((value, index) => {
+      const match = {$match: this.getCondition({field, operator: 'eq', value})};
+      facets[`list${index}`] = _.concat(match, this.getListStages(fieldNames, options));
+    });
+    const pipeline = [{$match: this.getQuery(filters, conditions)}, {$facet: facets}];
+    return this.collection.aggregate(pipeline).toArray().then(documents => {
+      return values.map((value, index) => {
+        return documents[0][`list${index}`].map(document => this.fromDocument(document, fieldNames));
+      });
+    });
+  }
+
+  create(data) {
+    const document = _.omit(data, ['id']);
+    document._id = data.id;
+    return this.collection.insertOne(document).then(() => {
+      return data;
+    });
+  }
+
+  update(data) {
+    const id = data.id;
+    const changes = _.omit(data, ['id']);
+    if (Object.keys(changes).length === 0) {
+      return {id};
+    }
+    return this.collection.updateOne(this.getQuery({id}), {$set: changes}).then(() => {
+      return {id};
+    });
+  }
+
+  remove(data) {
+    return this.collection.deleteOne(this.getQuery({id: data.id})).then(() => {
+      return {id: data.id};
+    });
+  }
+}
+
+module.exports = MongoDB;
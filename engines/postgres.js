@@ -0,0 +1,160 @@
+'use strict';
+
+const _ = require('lodash');
+const Promise = require('bluebird');
+const Pg = require('pg');
+
+const SqlModel = require('../classes/sql-model');
+const PostgresSequence = require('../classes/postgres-sequence');
+
+// Pools are shared between models using the same database.
+const pools = {};
+
+const connect = function(database) {
+  const key = [database.host, database.port, database.name, database.user].join(':');
+  if (typeof pools[key] === 'undefined') {
+    const pool = new Pg.Pool({
+      host: database.host,
+      port: database.port,
+      database: database.name,
+      user: database.user,
+      password: database.password
+    });
+    pools[key] = Promise.resolve(pool.query('SELECT 1')).then(() => {
+      return pool;
+    }).catch(() => {
+      throw new Error('No connection to database');
+    });
+  }
+  return pools[key];
+};
+
+/**
+ * @doc internals/storage/postgres
+ * @title PostgreSQL
+ *
+ * Stores each model in a table, as described
+ * for SQL engines. Strings, integers, numbers
+ * and booleans are stored in their own column.
+ * Objects and arrays are stored in JSONB columns.
+ *
+ * Ids are generated from a Postgres sequence
+ * named ``{Model}_ids``.
+ *
+ * Transactions hold a client from the pool
+ * until these are committed or rolled back.
+ */
+class Postgres extends SqlModel {
+  constructor(modelData, database, internalDatabase) {
+    super(modelData, database, internalDatabase);
+
+    database = _.defaults(database, {
+      host: 'localhost',
+      port: 5432,
+      name: 'restapir',
+      user: 'postgres',
+      password: ''
+    });
+
+    const ready = connect(database);
+    this.sequence = new PostgresSequence(this.name, ready);
+
+    this._ready = ready.then(_pool => {
+      this.pool = _pool;
+      return this.createTable();
+    });
+  }
+
+  begin(transaction) {
+    return transaction.getHandle(this.pool, () => {
+      return Promise.resolve(this.pool.connect()).then(client => {
+        const end = sql => Promise.resolve(client.query(sql)).finally(() => client.release());
+        return Promise.resolve(client.query('BEGIN')).then(() => {
+          return {client, commit: () => end('COMMIT'), rollback: () => end('ROLLBACK')};
+        }).catch(err => {
+          client.release();
+          throw err;
+        });
+      });
+    }).then(handle => {
+      // The client has the same query() method as the pool.
+      const model = Object.create(this);
+      model.pool = handle.client;
+      return model;
+    });
+  }
+
+  query(sql, params) {
+    return Promise.resolve(this.pool.query(sql, params)).then(result => result.rows);
+  }
+
+  getExistingColumns() {
+    // Tables with the same name may exist in other schemas.
+    const sql = 'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1';
+    return this.query(sql, [this.name]).then(rows => {
+      return rows.map(row => row.column_name);
+    });
+  }
+
+  getColumnType(type) {
+    if (type === 'integer') {
+      return 'BIGINT';
+    }
+    if (type === 'number' || type === 'float') {
+      return 'DOUBLE PRECISION';
+    }
+    if (type === 'boolean') {
+      return 'BOOLEAN';
+    }
+    if (type === 'object' || type === 'array') {
+      return 'JSONB';
+    }
+    return 'TEXT';
+  }
+
+  addParam(params, value) {
+    params.push(value);
+    return `$${params.length}`;
+  }
+
+  getParam(params, key, value) {
+    const placeholder = super.getParam(params, key, value);
+    return this.columns[key] === 'JSONB' ? `${placeholder}::jsonb` : placeholder;
+  }
+
+  toColumnValue(key, value) {
+    if (value === null || typeof value === 'undefined') {
+      return null;
+    }
+    if (this.columns[key] === 'JSONB') {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  getStringContains(column, value, params) {
+    return `strpos(${column}, ${this.addParam(params, value)}) > 0`;
+  }
+
+  getArrayContains(column, value, params) {
+    const element = this.addParam(params, JSON.stringify(value));
+    return `EXISTS (SELECT 1 FROM jsonb_array_elements(${column}) AS "element" WHERE "element" = ${element}::jsonb)`;
+  }
+
+  getPathValue(column, path, params) {
+    // JSON nulls are sorted as missing values.
+    return `NULLIF(${column} #> ${this.addParam(params, path)}::text[], 'null'::jsonb)`;
+  }
+
+  fromRow(row) {
+    Object.keys(row).forEach(key => {
+      // Postgres returns bigint values as strings.
+      if (row[key] !== null && this.columns[key] === 'BIGINT') {
+        row[key] = parseInt(row[key], 10);
+      }
+    });
+    return row;
+  }
+}
+
+module.exports = Postgres;
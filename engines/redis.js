@@ -0,0 +1,258 @@
+'use strict';
+
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const redis = require('redis');
+
+const Model = require('../classes/model');
+
+Bluebird.promisifyAll(redis.RedisClient.prototype);
+Bluebird.promisifyAll(redis.Multi.prototype);
+
+// Clients are shared between models using the same server.
+const clients = {};
+
+const connect = function(database) {
+  const key = `${database.host}:${database.port}`;
+  if (typeof clients[key] === 'undefined') {
+    clients[key] = redis.createClient(database.port, database.host);
+  }
+  return clients[key];
+};
+
+// Replaces an item when it was not changed since reading it, as given by
+// the original JSON in ARGV[1]. Moves the id from the index sets in KEYS
+// to the sets for the new values. The item keeps its expiry time.
+const updateScript = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+local removed = tonumber(ARGV[4])
+for i = 2, removed + 1 do
+  redis.call('SREM', KEYS[i], ARGV[3])
+end
+for i = removed + 2, #KEYS do
+  redis.call('SADD', KEYS[i], ARGV[3])
+end
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ttl)
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+/**
+ * @doc internals/storage/redis
+ * @title Redis
+ *
+ * Each item is stored as JSON in the key
+ * ``{prefix}{Model}:{id}``. The set
+ * ``{prefix}{Model}:ids`` holds all ids.
+ *
+ * Fields that are ``indexed`` or have a ``reverse``
+ * property get a set per value, named
+ * ``{prefix}{Model}:index:{field}:{value}``,
+ * which are used for filtering lists and counts.
+ * Other filters and sorting are applied in memory.
+ *
+ * Models may declare a ``ttl`` in seconds. Items
+ * expire after this time since their creation.
+ * Expired ids are removed from the sets when
+ * found during a list or count.
+ *
+ * Updates are executed atomically by a Lua script,
+ * which is retried when the item was changed by
+ * another client in the meantime.
+ */
+class Redis extends Model {
+  constructor(modelData, database, internalDatabase) {
+    super(modelData, database, internalDatabase);
+
+    database = _.defaults(database, {
+      host: 'localhost',
+      port: 6379,
+      prefix: ''
+    });
+
+    this.client = connect(database);
+    this.prefix = `${database.prefix}${this.name}:`;
+    this.ttl = typeof modelData.jsonSchema.ttl === 'number' ? modelData.jsonSchema.ttl : 0;
+
+    this.indexedFields = [];
+    Object.keys(this.jsonSchema.properties).forEach(key => {
+      const field = this.jsonSchema.properties[key];
+      if (typeof field.reverse !== 'undefined' || field.indexed === true) {
+        this.indexedFields.push(key);
+      }
+    });
+    this.nativeConditions = true;
+  }
+
+  ready() {
+    return true;
+  }
+
+  getItemKey(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  getIdsKey() {
+    return `${this.prefix}ids`;
+  }
+
+  getIndexKey(field, value) {
+    return `${this.prefix}index:${field}:${JSON.stringify(typeof value === 'undefined' ? null : value)}`;
+  }
+
+  addToIndexes(multi, item) {
+    multi.sadd(this.getIdsKey(), item.id);
+    this.indexedFields.forEach(key => {
+      multi.sadd(this.getIndexKey(key, item[key]), item.id);
+    });
+  }
+
+  removeFromIndexes(multi, item) {
+    multi.srem(this.getIdsKey(), item.id);
+    this.indexedFields.forEach(key => {
+      multi.srem(this.getIndexKey(key, item[key]), item.id);
+    });
+  }
+
+  fillNulls(row, fieldNames) {
+    fieldNames.forEach(key => {
+      if (typeof row[key] === 'undefined') {
+        row[key] = null;
+      }
+    });
+    return row;
+  }
+
+  /**
+   * Get all items matching the filters.
+   */
+  filter(filters, conditions) {
+    const indexedFilters = _.pick(filters, this.indexedFields);
+    const sets = Object.keys(indexedFilters).map(key => this.getIndexKey(key, filters[key]));
+    const ids = sets.length > 0 ? this.client.sinterAsync(sets) : this.client.smembersAsync(this.getIdsKey());
+    return ids.then(ids => {
+      if (ids.length === 0) {
+        return [];
+      }
+      return this.client.mgetAsync(ids.map(id => this.getItemKey(id))).then(rows => {
+        const expired = [];
+        const items = [];
+        rows.forEach((row, index) => {
+          if (row === null) {
+            expired.push(ids[index]);
+          } else {
+            items.push(JSON.parse(row));
+          }
+        });
+        return this.cleanup(expired, sets).then(() => {
+          return items;
+        });
+      });
+    }).then(items => {
+      return items.filter(item => this.matches(item, filters, conditions));
+    });
+  }
+
+  /**
+   * Remove ids of expired items from the sets.
+   */
+  cleanup(ids, sets) {
+    if (ids.length === 0) {
+      return Bluebird.resolve();
+    }
+    const multi = this.client.multi();
+    _.union([this.getIdsKey()], sets).forEach(set => {
+      multi.srem(set, ids);
+    });
+    return multi.execAsync();
+  }
+
+  read(data, fieldNames) {
+    return this.client.getAsync(this.getItemKey(data.id)).then(row => {
+      if (row === null) {
+        return null;
+      }
+      return this.fillNulls(_.pick(JSON.parse(row), fieldNames), fieldNames);
+    });
+  }
+
+  readMany(ids, fieldNames) {
+    return this.client.mgetAsync(ids.map(id => this.getItemKey(id))).then(rows => {
+      return rows.map(row => row === null ? null : this.fillNulls(_.pick(JSON.parse(row), fieldNames), fieldNames));
+    });
+  }
+
+  count(filters, conditions) {
+    if (Object.keys(filters).length === 0 && !conditions && !this.ttl) {
+      return this.client.scardAsync(this.getIdsKey());
+    }
+    return this.filter(filters, conditions).then(items => items.length);
+  }
+
+  list(filters, fieldNames, options) {
+    return this.filter(filters, options.conditions).then(items => {
+      return this.sortItems(items, options.order).slice(options.offset, options.offset + options.limit).map(item => {
+        return this.fillNulls(_.pick(item, fieldNames), fieldNames);
+      });
+    });
+  }
+
+  create(data) {
+    const multi = this.client.multi();
+    if (this.ttl) {
+      multi.set(this.getItemKey(data.id), JSON.stringify(data), 'EX', this.ttl);
+    } else {
+      multi.set(this.getItemKey(data.id), JSON.stringify(data));
+    }
+    this.addToIndexes(multi, data);
+    return multi.execAsync().then(() => {
+      return data;
+    });
+  }
+
+  update(data) {
+    const id = data.id;
+    const key = this.getItemKey(id);
+    return this.client.getAsync(key).then(row => {
+      if (row === null) {
+        return;
+      }
+      const original = JSON.parse(row);
+      const item = _.assign({}, original, data);
+      const removed = this.indexedFields.map(field => this.getIndexKey(field, original[field]));
+      const added = this.indexedFields.map(field => this.getIndexKey(field, item[field]));
+      const keys = [key].concat(removed, added);
+      return this.client.evalAsync(updateScript, keys.length, ...keys, row, JSON.stringify(item), id, removed.length).then(updated => {
+        if (!updated) {
+          // Item was changed after reading it.
+          return this.update(data);
+        }
+      });
+    }).then(() => {
+      return {id};
+    });
+  }
+
+  remove(data) {
+    const key = this.getItemKey(data.id);
+    return this.client.getAsync(key).then(row => {
+      if (row === null) {
+        return;
+      }
+      const multi = this.client.multi();
+      this.removeFromIndexes(multi, JSON.parse(row));
+      multi.del(key);
+      return multi.execAsync();
+    }).then(() => {
+      return {id: data.id};
+    });
+  }
+}
+
+module.exports = Redis;
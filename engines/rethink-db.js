@@ -6,6 +6,33 @@ const Promise = require('bluebird');
 
 const Model = require('../classes/model');
 
+/**
+ * @doc internals/storage/rethinkdb
+ * @title RethinkDB
+ *
+ * Stores each model in a table named after the model.
+ *
+ * Secondary indexes are created for fields that are
+ * ``indexed`` or have a ``reverse`` property. Compound
+ * indexes are declared in the ``indexes`` property of
+ * the model, as a list of field lists:
+ *
+ * ```
+ * indexes:
+ *   - [owner, created]
+ * ```
+ *
+ * Lists and counts use the index that matches most
+ * equality filters. A compound index is also used for
+ * sorting when its next field is the sort field and
+ * that field is required.
+ * Without equality filters on an index, an ``_in``
+ * filter on an indexed field uses that index.
+ * Indexes that are no longer declared are dropped when
+ * these were created by restapir, thus when named after
+ * a field of the model or containing double underscores.
+ * Other indexes on the table are left alone.
+ */
 class RethinkDB extends Model {
   constructor(modelData, database, internalDatabase) {
     super(modelData, database, internalDatabase);
@@ -17,6 +44,7 @@ class RethinkDB extends Model {
     });
 
     this.dbName = database.name;
+    this.nativeConditions = true;
 
     const ready = new Promise((resolve, reject) => {
       r.connect({host: database.host, port: database.port}, (err, _conn) => {
@@ -28,7 +56,7 @@ class RethinkDB extends Model {
       });
     });
 
-    this.indexedFields = [];
+    this.indexes = this.getIndexDefinitions(modelData.jsonSchema);
     this._ready = ready.then(() => {
       return r.dbList().run(this.conn);
     }).then(databases => {
@@ -43,22 +71,99 @@ class RethinkDB extends Model {
       }
     }).then(() => {
       return r.db(database.name).table(this.name).indexList().run(this.conn);
-    }).then(indexes => {
-      const promises = [];
-      Object.keys(this.jsonSchema.properties).forEach(key => {
-        const field = this.jsonSchema.properties[key];
-        if (typeof field.reverse !== 'undefined' || field.indexed === true) {
-          this.indexedFields.push(key);
-          if (indexes.indexOf(key) < 0) {
-            const promise = r.db(database.name).table(this.name).indexCreate(key).run(this.conn).then(() => {
-              return r.db(database.name).table(this.name).indexWait().run(this.conn);
-            });
-            promises.push(promise);
+    }).then(existing => {
+      const table = r.db(database.name).table(this.name);
+      const names = this.indexes.map(index => index.name);
+      // Only drop indexes with the names used for declared indexes.
+      const obsolete = _.difference(existing, names).filter(name => {
+        return typeof modelData.jsonSchema.properties[name] !== 'undefined' || name.indexOf('__') >= 0;
+      });
+      const missing = this.indexes.filter(index => existing.indexOf(index.name) < 0);
+      return Promise.resolve(obsolete).each(name => {
+        return table.indexDrop(name).run(this.conn);
+      }).then(() => {
+        return Promise.resolve(missing).each(index => {
+          if (index.fields.length === 1) {
+            return table.indexCreate(index.name).run(this.conn);
           }
+          // Missing fields are indexed as null. Documents would otherwise
+          // be left out of the index and not found by partial prefixes.
+          return table.indexCreate(index.name, index.fields.map(field => r.row(field).default(null))).run(this.conn);
+        });
+      }).then(() => {
+        if (missing.length > 0) {
+          return table.indexWait().run(this.conn);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get all indexes for this model.
+   *
+   * Returns a list of objects with the index name and fields. Single field
+   * indexes are named after the field, compound indexes after all fields,
+   * separated by double underscores.
+   */
+  getIndexDefinitions(jsonSchema) {
+    const indexes = [];
+    Object.keys(jsonSchema.properties).forEach(key => {
+      const field = jsonSchema.properties[key];
+      if (typeof field.reverse !== 'undefined' || field.indexed === true) {
+        indexes.push({name: key, fields: [key]});
+      }
+    });
+    (jsonSchema.indexes || []).forEach(fields => {
+      if (!(fields instanceof Array) || fields.length === 0) {
+        throw new Error(`Indexes in model ${this.name} must be lists of field names`);
+      }
+      fields.forEach(field => {
+        if (typeof jsonSchema.properties[field] === 'undefined') {
+          throw new Error(`Index in model ${this.name} contains unknown field "${field}"`);
         }
       });
-      return Promise.all(promises);
+      const name = fields.join('__');
+      if (!indexes.some(index => index.name === name)) {
+        indexes.push({name, fields});
+      }
+    });
+    return indexes;
+  }
+
+  /**
+   * Pick the index to use for the filters and sort field.
+   *
+   * Indexes are scored on the number of leading fields that have an equality
+   * filter. For the same number of filters, an index whose next field is the
+   * sort field is preferred, as it also provides the sort order for required
+   * fields. Next are
+   * indexes that are fully covered by the filters.
+   *
+   * @return object
+   *   Object with the index and the number of filtered fields ("prefix"), or
+   *   null if no index is usable. The "sorted" property indicates if the
+   *   index provides the sort order.
+   */
+  getIndexPlan(filters, sort) {
+    let best = null;
+    let bestScore = 0;
+    // Indexes sort nulls before numbers and strings and leave out missing
+    // fields, thus only provide the order for required fields.
+    const sortable = Boolean(sort) && (this.jsonSchema.required || []).indexOf(sort) >= 0;
+    this.indexes.forEach(index => {
+      let prefix = 0;
+      while (prefix < index.fields.length && typeof filters[index.fields[prefix]] !== 'undefined') {
+        ++prefix;
+      }
+      const sorted = sortable && prefix < index.fields.length && index.fields[prefix] === sort;
+      const exact = prefix === index.fields.length;
+      const score = (prefix * 3) + (sorted ? 2 : 0) + (exact ? 1 : 0);
+      if (score > bestScore) {
+        best = {index, prefix, sorted};
+        bestScore = score;
+      }
     });
+    return best;
   }
 
   ready() {
@@ -71,6 +176,16 @@ class RethinkDB extends Model {
     });
   }
 
+  readMany(ids, fieldNames) {
+    const query = r.db(this.dbName).table(this.name).getAll(r.args(ids)).pluck(_.union(fieldNames, ['id']));
+    return query.run(this.conn).then(cursor => {
+      return cursor.toArray();
+    }).then(rows => {
+      const items = _.keyBy(rows, 'id');
+      return ids.map(id => typeof items[id] === 'undefined' ? null : this.fillNulls(items[id], fieldNames));
+    });
+  }
+
   fillNulls(row, fieldNames) {
     fieldNames.forEach(key => {
       if (typeof row[key] === 'undefined') {
@@ -80,43 +195,125 @@ class RethinkDB extends Model {
     return row;
   }
 
-  count(filters) {
+  /**
+   * Translate condition to a ReQL expression.
+   */
+  getCondition(row, condition) {
+    const value = condition.value;
+    if (condition.operator === 'or') {
+      return r.or(r.expr(false), ...value.map(branch => {
+        return r.and(r.expr(true), ...branch.map(condition => this.getCondition(row, condition)));
+      }));
+    }
+    const field = row(condition.field).default(null);
+    switch (condition.operator) {
+      case 'eq':
+        return field.eq(value);
+      case 'ne':
+        return field.ne(value);
+      case 'gt':
+        return field.ne(null).and(field.gt(value));
+      case 'gte':
+        return field.ne(null).and(field.ge(value));
+      case 'lt':
+        return field.ne(null).and(field.lt(value));
+      case 'lte':
+        return field.ne(null).and(field.le(value));
+      case 'in':
+        return r.expr(value).contains(field);
+      case 'contains':
+        if (this.jsonSchema.properties[condition.field].type === 'array') {
+          return row(condition.field).default([]).contains(value);
+        }
+        // Escape the substring for use in a regular expression.
+        return row(condition.field).default('').match(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).ne(null);
+      default:
+        throw new Error(`Unknown operator "${condition.operator}"`);
+    }
+  }
+
+  /**
+   * Get query for the filters and conditions.
+   *
+   * The query is sorted when "sort" is given and the chosen index provides
+   * the sort order. Check the "sorted" property of the returned object.
+   */
+  getFilteredQuery(filters, conditions, sort, ascending) {
     let query = r.db(this.dbName).table(this.name);
-    const indexedFilters = _.pick(filters, this.indexedFields);
-    if (Object.keys(indexedFilters).length > 0) {
-      // @todo: Pick filter with highest cardinality.
-      const index = Object.keys(indexedFilters)[0];
-      query = query.getAll(filters[index], {index});
-      filters = _.omit(filters, index);
+    let sorted = false;
+    const plan = this.getIndexPlan(filters, sort);
+    if (plan === null) {
+      // Lists of referencing items for multiple items use an "in" condition
+      // on the indexed reference field.
+      const condition = _.find(conditions, condition => {
+        const indexed = this.indexes.some(index => index.name === condition.field);
+        return condition.operator === 'in' && condition.value.length > 0 && indexed;
+      });
+      if (condition) {
+        query = query.getAll(r.args(_.uniq(condition.value)), {index: condition.field});
+        conditions = _.without(conditions, condition);
+      }
+    } else {
+      const index = plan.index;
+      const values = index.fields.slice(0, plan.prefix).map(field => filters[field]);
+      if (plan.prefix === index.fields.length) {
+        query = query.getAll(index.fields.length === 1 ? values[0] : values, {index: index.name});
+      } else {
+        if (plan.prefix > 0) {
+          const lower = _.concat(values, _.fill(Array(index.fields.length - plan.prefix), r.minval));
+          const upper = _.concat(values, _.fill(Array(index.fields.length - plan.prefix), r.maxval));
+          query = query.between(lower, upper, {index: index.name});
+        }
+        if (plan.sorted) {
+          query = query.orderBy({index: ascending ? index.name : r.desc(index.name)});
+          sorted = true;
+        }
+      }
+      filters = _.omit(filters, index.fields.slice(0, plan.prefix));
     }
     if (Object.keys(filters).length > 0) {
       query = query.filter(filters);
     }
+    if (conditions && conditions.length > 0) {
+      query = query.filter(row => {
+        return r.and(r.expr(true), ...conditions.map(condition => this.getCondition(row, condition)));
+      }, {default: false});
+    }
+    return {query, sorted};
+  }
+
+  count(filters, conditions) {
+    let query = this.getFilteredQuery(filters, conditions).query;
     query = query.count();
     return query.run(this.conn).then(data => {
       return data;
     });
   }
 
-  list(filters, fieldNames, options) {
+  /**
+   * Get the query for a sorted and paged list.
+   */
+  getListQuery(filters, fieldNames, options) {
     const limit = options.limit;
     const offset = options.offset;
-    const sort = options.sort;
-    const ascending = options.ascending;
-    let query = r.db(this.dbName).table(this.name);
-    const indexedFilters = _.pick(filters, this.indexedFields);
-    if (Object.keys(indexedFilters).length > 0) {
-      // @todo: Pick filter with highest cardinality.
-      const index = Object.keys(indexedFilters)[0];
-      query = query.getAll(filters[index], {index});
-      filters = _.omit(filters, index);
-    }
-    if (Object.keys(filters).length > 0) {
-      query = query.filter(filters);
+    const order = options.order;
+    // Indexes can only provide the order for a single top level field.
+    const sort = order.length === 1 && order[0].path.length === 1 ? order[0].field : undefined;
+    const filtered = this.getFilteredQuery(filters, options.conditions, sort, order[0].ascending);
+    let query = filtered.query;
+    if (!filtered.sorted) {
+      // Nulls come last in ascending order, as in Model.sortItems().
+      query = query.orderBy(..._.flatMap(order, key => {
+        const value = row => key.path.reduce((value, name) => value(name), row).default(null);
+        const isNull = row => value(row).eq(null);
+        return key.ascending ? [r.asc(isNull), r.asc(value)] : [r.desc(isNull), r.desc(value)];
+      }));
     }
-    query = query.orderBy(ascending ? sort : r.desc(sort));
-    query = query.pluck(fieldNames).slice(offset, offset + limit);
-    return query.run(this.conn).then(cursor => {
+    return query.pluck(fieldNames).slice(offset, offset + limit);
+  }
+
+  list(filters, fieldNames, options) {
+    return this.getListQuery(filters, fieldNames, options).run(this.conn).then(cursor => {
       return cursor.toArray();
     }).then(rows => {
       rows.forEach(row => {
@@ -126,6 +323,59 @@ class RethinkDB extends Model {
     });
   }
 
+  /**
+   * List items for multiple values of a field.
+   *
+   * Runs the list for each value as a subquery of a single query.
+   */
+  listMany(field, values, filters, fieldNames, options) {
+    const query = r.expr(values).map(value => {
+      return this.getListQuery(_.assign({}, filters, {[field]: value}), fieldNames, options).coerceTo('array');
+    });
+    return query.run(this.conn).then(lists => {
+      return lists.map(rows => rows.map(row => this.fillNulls(row, fieldNames)));
+    });
+  }
+
+  /**
+   * Subscribe to changes in items matching the filters.
+   *
+   * The listener is called with the event type ("create", "update" or
+   * "remove") and the full item. Items that no longer match the filters
+   * after an update are reported as removed, with their previous values.
+   * When the changefeed fails, the listener is called with "error" and
+   * the error, followed by "close". Resolves to a subscription object with
+   * a close() method.
+   */
+  subscribe(filters, listener, conditions) {
+    return this.getFilteredQuery(filters, conditions).query.changes().run(this.conn).then(cursor => {
+      let closed = false;
+      cursor.each((err, change) => {
+        if (err) {
+          if (!closed) {
+            closed = true;
+            listener('error', err);
+            listener('close');
+          }
+          return false;
+        }
+        if (change.old_val && change.new_val) {
+          listener('update', change.new_val);
+        } else if (change.new_val) {
+          listener('create', change.new_val);
+        } else {
+          listener('remove', change.old_val);
+        }
+      });
+      return {
+        close() {
+          closed = true;
+          return cursor.close();
+        }
+      };
+    });
+  }
+
   create(data) {
     return r.db(this.dbName).table(this.name).insert(data).run(this.conn).then(() => {
       return data;
@@ -10,6 +10,8 @@ class Script extends Model {
     super(modelData, database, internalDatabase);
 
     this.storage = storage;
+    // Keep the order of the remote source, unless sorted explicitly.
+    this.defaultSort = null;
 
     this.dbName = database.name;
     this.parameters = database.parameters;
@@ -38,9 +40,16 @@ class Script extends Model {
     });
   }
 
-  list(filters, options) {
+  /**
+   * List items with the list script.
+   *
+   * The script receives the filters and list options. Scripts may use the
+   * "order" option to sort upstream. The results are sorted afterwards
+   * in case the script did not.
+   */
+  list(filters, fieldNames, options) {
     return this.scripts.list.clone().run(_.defaults(filters, options)).then(result => {
-      return this.castTypes(result);
+      return this.sortItems(this.castTypes(result), options.order);
     });
   }
 
@@ -0,0 +1,192 @@
+'use strict';
+
+const _ = require('lodash');
+const Promise = require('bluebird');
+const Sqlite3 = require('sqlite3');
+
+const SqlModel = require('../classes/sql-model');
+const SqliteSequence = require('../classes/sqlite-sequence');
+
+/**
+ * Open a connection with promisified run(), get() and all() methods.
+ */
+const open = function(filename) {
+  return new Promise((resolve, reject) => {
+    const db = new Sqlite3.Database(filename, err => {
+      if (err) {
+        reject(new Error('No connection to database'));
+        return;
+      }
+      // Wait for locks held by transactions on other connections.
+      db.configure('busyTimeout', 10000);
+      const call = method => (sql, params) => {
+        return new Promise((resolve, reject) => {
+          db[method](sql, params || [], function(err, result) {
+            if (err) {
+              reject(err);
+            } else {
+              // The run() callback provides its results on "this".
+              resolve(method === 'run' ? this : result);
+            }
+          });
+        });
+      };
+      resolve({
+        run: call('run'),
+        get: call('get'),
+        all: call('all'),
+        close: () => new Promise((resolve, reject) => {
+          db.close(err => err ? reject(err) : resolve());
+        })
+      });
+    });
+  });
+};
+
+// Connections are shared between models using the same database file.
+const connections = {};
+
+const connect = function(filename) {
+  if (typeof connections[filename] === 'undefined') {
+    connections[filename] = open(filename);
+  }
+  return connections[filename];
+};
+
+/**
+ * @doc internals/storage/sqlite
+ * @title SQLite
+ *
+ * Stores each model in a table in a single
+ * SQLite database file, as described for
+ * SQL engines. Scalar properties are stored as
+ * TEXT, INTEGER or REAL, booleans as 0 or 1
+ * and objects and arrays as JSON text.
+ *
+ * Ids are generated per model in the
+ * ``_sequences`` table, so no Redis server
+ * is needed for models in this database.
+ *
+ * Transactions use a connection of their own,
+ * which is locked for writing by others until
+ * the transaction ends. In-memory databases
+ * are not shared between connections and use
+ * compensating actions instead.
+ */
+class SQLite extends SqlModel {
+  constructor(modelData, database, internalDatabase) {
+    super(modelData, database, internalDatabase);
+
+    database = _.defaults(database, {
+      filename: 'restapir.sqlite'
+    });
+
+    this.filename = database.filename;
+
+    const ready = connect(this.filename);
+    this.sequence = new SqliteSequence(this.name, ready);
+
+    this._ready = ready.then(_conn => {
+      this.conn = _conn;
+      return this.createTable();
+    });
+  }
+
+  begin(transaction) {
+    if (this.filename === ':memory:') {
+      return null;
+    }
+    return transaction.getHandle(`sqlite:${this.filename}`, () => {
+      return open(this.filename).then(conn => {
+        const end = sql => conn.run(sql).finally(() => conn.close());
+        return conn.run('BEGIN IMMEDIATE').then(() => {
+          return {conn, commit: () => end('COMMIT'), rollback: () => end('ROLLBACK')};
+        }).catch(err => {
+          return conn.close().then(() => {
+            throw err;
+          });
+        });
+      });
+    }).then(handle => {
+      const model = Object.create(this);
+      model.conn = handle.conn;
+      // Ids are generated within the transaction, as the sequences table is locked.
+      model.sequence = new SqliteSequence(this.name, Promise.resolve(handle.conn));
+      return model;
+    });
+  }
+
+  query(sql, params) {
+    return this.conn.all(sql, params);
+  }
+
+  getExistingColumns() {
+    return this.conn.all(`PRAGMA table_info(${this.table})`).then(rows => {
+      return rows.map(row => row.name);
+    });
+  }
+
+  getColumnType(type) {
+    if (type === 'integer' || type === 'boolean') {
+      return 'INTEGER';
+    }
+    if (type === 'number' || type === 'float') {
+      return 'REAL';
+    }
+    return 'TEXT';
+  }
+
+  isJsonField(key) {
+    const type = this.jsonSchema.properties[key].type;
+    return type === 'object' || type === 'array';
+  }
+
+  toColumnValue(key, value) {
+    if (value === null || typeof value === 'undefined') {
+      return null;
+    }
+    if (this.isJsonField(key)) {
+      return JSON.stringify(value);
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    return value;
+  }
+
+  getStringContains(column, value, params) {
+    return `instr(${column}, ${this.addParam(params, value)}) > 0`;
+  }
+
+  getArrayContains(column, value, params) {
+    // Elements are given as SQL values, except for objects and arrays.
+    let element = value;
+    if (typeof value === 'boolean') {
+      element = value ? 1 : 0;
+    } else if (typeof value === 'object' && value !== null) {
+      element = JSON.stringify(value);
+    }
+    return `EXISTS (SELECT 1 FROM json_each(${column}) WHERE json_each.value = ${this.addParam(params, element)})`;
+  }
+
+  getPathValue(column, path, params) {
+    const jsonPath = '$' + path.map(name => '.' + JSON.stringify(name)).join('');
+    return `json_extract(${column}, ${this.addParam(params, jsonPath)})`;
+  }
+
+  fromRow(row) {
+    Object.keys(row).forEach(key => {
+      if (row[key] === null || typeof this.jsonSchema.properties[key] === 'undefined') {
+        return;
+      }
+      if (this.isJsonField(key)) {
+        row[key] = JSON.parse(row[key]);
+      } else if (this.jsonSchema.properties[key].type === 'boolean') {
+        row[key] = Boolean(row[key]);
+      }
+    });
+    return row;
+  }
+}
+
+module.exports = SQLite;
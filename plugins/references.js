@@ -1,6 +1,7 @@
 'use strict';
 
 const _ = require('lodash');
+const graphql = require('graphql');
 const Plugin = require('../classes/plugin');
 const Query = require('../classes/query');
 
@@ -14,10 +15,17 @@ class References extends Plugin {
       Object.keys(properties).forEach(property => {
         if (typeof properties[property].reverse === 'string' && typeof properties[property].references === 'string') {
           const name = properties[property].references + '.' + properties[property].reverse;
-          fields.push(name);
+          // The connection field provides cursor-based pagination.
+          fields.push(name, name + 'Connection');
           this.fieldData[name] = {
             model: modelName,
-            field: property
+            field: property,
+            connection: false
+          };
+          this.fieldData[name + 'Connection'] = {
+            model: modelName,
+            field: property,
+            connection: true
           };
         }
       });
@@ -26,30 +34,86 @@ class References extends Plugin {
   }
 
   getValue(models, model, field, id, context) {
+    return this.getValues(models, model, field, [id], context).then(values => {
+      if (values[0] instanceof Error) {
+        throw values[0];
+      }
+      return values[0];
+    });
+  }
+
+  /**
+   * Get the referencing items for multiple items.
+   *
+   * Runs a query per item, which checks access for that item. The queries
+   * share their loaders, which combines the lists into a single request.
+   * Connections are paginated per item and are not combined.
+   */
+  getValues(models, model, field, ids, context) {
+    const loaders = new Map();
+    return Promise.all(ids.map(id => {
+      const query = new Query(models, {items: this.getMethod(model, field, id)}, context);
+      query.loaders = loaders;
+      return query.execute().then(result => {
+        return result.items;
+      }).catch(err => {
+        // Remove the alias used in this query from the path. The query that
+        // requested the field adds the path to this field.
+        if (err instanceof Error) {
+          err.path = _.tail(err.path);
+        }
+        return err;
+      });
+    }));
+  }
+
+  getMethod(model, field, id) {
     field = _.cloneDeep(field);
 
     const name = model.name + '.' + field.name;
     const fieldData = this.fieldData[name];
 
-    field.params.limit = typeof field.params.limit === 'number' ? field.params.limit : 100;
-    field.params.offset = typeof field.params.offset === 'number' ? field.params.offset : 0;
+    if (!fieldData.connection) {
+      field.params.limit = typeof field.params.limit === 'number' ? field.params.limit : 100;
+      field.params.offset = typeof field.params.offset === 'number' ? field.params.offset : 0;
+      // Lists for multiple items are combined on the reference field.
+      field.batch = fieldData.field;
+    }
 
-    field.name = 'list' + fieldData.model;
+    field.name = 'list' + fieldData.model + (fieldData.connection ? 'Connection' : '');
     field.params[fieldData.field] = id;
-    const query = {items: field};
     if (field.fieldNames.length === 0) {
-      field.fieldNames = ['id'];
-      field.fields.id = {
+      const id = {
         name: 'id',
         params: {},
         fields: {},
         fieldNames: []
       };
+      if (fieldData.connection) {
+        field.fieldNames = ['items'];
+        field.fields = {items: {name: 'items', params: {}, fields: {id}, fieldNames: ['id']}};
+      } else {
+        field.fieldNames = ['id'];
+        field.fields.id = id;
+      }
     }
+    return field;
+  }
 
-    return new Query(models, query, context).execute().then(result => {
-      return result.items;
-    });
+  getFieldSchema(name, schema) {
+    const fieldData = this.fieldData[name];
+    if (fieldData.connection) {
+      return {
+        type: schema.getConnectionType(fieldData.model),
+        args: _.omit(schema.getListArguments(fieldData.model, true), fieldData.field)
+      };
+    }
+    const args = _.omit(schema.getListArguments(fieldData.model, false), fieldData.field);
+    args.limit = _.assign({}, args.limit, {defaultValue: 100});
+    return {
+      type: new graphql.GraphQLList(schema.getType(fieldData.model)),
+      args
+    };
   }
 }
 
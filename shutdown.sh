@@ -2,6 +2,10 @@
 rm -Rf /tmp/cache
 docker stop testredis > /dev/null 2>&1
 docker stop testrethinkdb > /dev/null 2>&1
+docker stop testpostgres > /dev/null 2>&1
+docker stop testmongodb > /dev/null 2>&1
 docker rm testredis > /dev/null 2>&1
 docker rm testrethinkdb > /dev/null 2>&1
+docker rm testpostgres > /dev/null 2>&1
+docker rm testmongodb > /dev/null 2>&1
 echo ""
@@ -1,4 +1,6 @@
 #!/bin/bash
 docker run --name testredis -d -p 6379:6379 redis > /dev/null
 docker run --name testrethinkdb -d -p 28015:28015 rethinkdb > /dev/null
+docker run --name testpostgres -d -p 5432:5432 -e POSTGRES_HOST_AUTH_METHOD=trust postgres > /dev/null
+docker run --name testmongodb -d -p 27017:27017 mongo > /dev/null
 mkdir /tmp/cache
@@ -85,9 +85,31 @@ describe('Application', () => {
       return response.json();
     }).then(body => {
       expect(body).to.have.property('errors');
-      expect(body.errors).to.have.length(2);
-      expect(body.errors[0]).to.have.property('message');
-      expect(body.errors[0].message).to.contain('wrong type');
+      expect(body.errors).to.deep.equal([{
+        message: 'Argument "teststring" has invalid value 123.\nExpected type "String", found 123.',
+        locations: [{line: 1, column: 24}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }, {
+        message: 'Argument "testint" has invalid value "string".\nExpected type "Int", found "string".',
+        locations: [{line: 1, column: 36}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
+    });
+  });
+
+  it('responds with the data of other fields when fields fail', () => {
+    const data = {
+      query: '{a: __typename b: createPost(title: $title) { id }}',
+      variables: {title: 'x'.repeat(256)}
+    };
+    return fetch(uri + '/graphql', {method: 'POST', body: JSON.stringify(data), headers: {'Content-Type': 'application/json'}}).then(response => {
+      expect(response.status).to.equal(200);
+      return response.json();
+    }).then(body => {
+      expect(body.data).to.deep.equal({a: 'Query', b: null});
+      expect(body.errors).to.have.length(1);
+      expect(body.errors[0].path).to.deep.equal(['b']);
+      expect(body.errors[0].extensions).to.deep.equal({code: 'VALIDATION_FAILED'});
     });
   });
 
@@ -34,9 +34,18 @@ chai.use(chaiAsPromised);
  *
  * All posts of a specific author are deleted when the User is deleted.
  * Posts are attempted to be deleted before User is deleted. The query is
- * rejected in case of failures (including permission errors). Note that
- * there is no transaction support. The deleted posts will not get restored
- * when the User cannot be deleted.
+ * rejected in case of failures (including permission errors). The deleted
+ * posts will not get restored when the User cannot be deleted, unless the
+ * query runs in a transaction:
+ *
+ * ```
+ * mutation @transaction {
+ *   deleteUser(id: $id) { id }
+ * }
+ * ```
+ *
+ * Cascading deletes take part in the transaction of the query, thus these
+ * are rolled back as well when a field in the query fails.
  * The value "after" can also be used. Posts are deleted after User in this
  * case, leaving all posts intact when User could not be deleted. This however
  * will leave us with posts referencing to non-existent users in case a
@@ -102,6 +111,29 @@ describe('Cascading deletes', () => {
     });
   });
 
+  it('restores deleted items when the transaction fails', () => {
+    const name = Faker.internet.userName();
+    const mail = Faker.internet.email();
+    let userId;
+    let postId;
+    return query('{createUser(name:$name, mail:$mail){id}}', {name, mail}).then(result => {
+      userId = result.createUser.id;
+      return query('{createPost(author:$userId){id}}', {userId});
+    }).then(result => {
+      postId = result.createPost.id;
+      const mutation = 'mutation @transaction { deleteUser(id:$userId){id} createUser(name:5){id} }';
+      return query(mutation, {userId}).then(() => {
+        throw new Error('Query should fail');
+      }, () => {});
+    }).then(() => {
+      return query('{user:User(id:$userId){id} post:Post(id:$postId){author}}', {userId, postId});
+    }).then(result => {
+      if (result.user.id !== userId || result.post.author !== userId) {
+        throw new Error('Deleted items are not restored');
+      }
+    });
+  });
+
   it.skip('will fail when on permission errors when deleting referencing items', () => {
 
   });
@@ -92,6 +92,56 @@ describe('Files', () => {
     });
   });
 
+  it('can list files', () => {
+    const mime = Crypto.randomBytes(8).toString('hex');
+    const query = `{
+      a: createFile(filename: "b.txt", mime: $mime, number: 2) { id }
+      b: createFile(filename: "a.txt", mime: $mime, number: 1) { id }
+      c: createFile(filename: "c.txt", mime: $mime, number: 3) { id }
+    }`;
+    return storage.query(query, {mime}).then(() => {
+      return storage.query(`{
+        all: listFile(mime: $mime, sort: "filename") { filename }
+        desc: listFile(mime: $mime, sort: "!number", limit: 2) { number }
+        paged: listFile(mime: $mime, sort: "number", offset: 1, limit: 1) { number }
+        filtered: listFile(mime: $mime, filename: "c.txt") { filename number }
+      }`, {mime});
+    }).then(result => {
+      expect(result.all.map(item => item.filename)).to.deep.equal(['a.txt', 'b.txt', 'c.txt']);
+      expect(result.desc.map(item => item.number)).to.deep.equal([3, 2]);
+      expect(result.paged.map(item => item.number)).to.deep.equal([2]);
+      expect(result.filtered).to.deep.equal([{filename: 'c.txt', number: 3}]);
+    });
+  });
+
+  it('can count files', () => {
+    const mime = Crypto.randomBytes(8).toString('hex');
+    let id;
+    return storage.query('{a: createFile(mime: $mime) { id } b: createFile(mime: $mime) { id }}', {mime}).then(result => {
+      id = result.a.id;
+      return storage.query('{countFile(mime: $mime)}', {mime});
+    }).then(result => {
+      expect(result.countFile).to.equal(2);
+      return storage.query('{deleteFile(id: $id) { id }}', {id});
+    }).then(() => {
+      return storage.query('{countFile(mime: $mime)}', {mime});
+    }).then(result => {
+      // The index is updated on delete.
+      expect(result.countFile).to.equal(1);
+    });
+  });
+
+  it('cannot delete files in transactions', async () => {
+    const mime = Crypto.randomBytes(8).toString('hex');
+    const created = await storage.query('{createFile(mime: $mime) { id }}', {mime});
+    const id = created.createFile.id;
+    const query = 'mutation @transaction { a: createFile(mime: $mime) { id } b: deleteFile(id: $id) { id } }';
+    const err = await storage.query(query, {mime, id}).then(() => null, err => err);
+    expect(err.message).to.equal('Files cannot be deleted in transactions');
+    const result = await storage.query('{listFile(mime: $mime) { id }}', {mime});
+    expect(result.listFile).to.deep.equal([{id}]);
+  });
+
   it('can upload a file using multipart POST request', () => {
     let id;
     const body = Crypto.randomBytes(8).toString('base64');
@@ -4,13 +4,16 @@
 const Crypto = require('crypto');
 
 const _ = require('lodash');
+const Bluebird = require('bluebird');
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 
 const Container = require('../classes/container');
+const Script = require('../classes/script');
 
 const GoogleSearchMockup = require('./mockups/google-search');
 const WebsiteMockup = require('./mockups/website');
+const RestApiMockup = require('./mockups/rest-api');
 
 const expect = chai.expect;
 chai.use(chaiAsPromised);
@@ -20,6 +23,7 @@ describe('Http', () => {
   let container;
   let googleSearch;
   let website;
+  let restApi;
 
   const cx = Crypto.randomBytes(8).toString('base64');
   const key = Crypto.randomBytes(8).toString('base64');
@@ -30,6 +34,15 @@ describe('Http', () => {
 
     const config = await container.get('Config');
     config.set({
+      httpCache: {
+        directory: '/tmp',
+        hosts: {
+          // Only requests to 127.0.0.1 are cached, not those to localhost.
+          '127.0.0.1': {
+            ttl: 60
+          }
+        }
+      },
       storage: {
         modelsDir: 'test/http/models',
         databases: {
@@ -52,6 +65,60 @@ describe('Http', () => {
             parameters: {
               baseUri: 'http://localhost:8372'
             }
+          },
+          restapi: {
+            engine: 'Http',
+            parameters: {
+              baseUri: 'http://localhost:8373'
+            }
+          },
+          basicapi: {
+            engine: 'Http',
+            parameters: {
+              baseUri: 'http://localhost:8373'
+            },
+            auth: {
+              type: 'basic',
+              username: 'john',
+              password: 'secret'
+            }
+          },
+          keyapi: {
+            engine: 'Http',
+            parameters: {
+              baseUri: 'http://localhost:8373'
+            },
+            headers: {
+              'X-Client': 'restapir'
+            },
+            auth: {
+              type: 'apiKey',
+              in: 'query',
+              name: 'apikey',
+              value: 'abc123'
+            }
+          },
+          tokenapi: {
+            engine: 'Http',
+            parameters: {
+              baseUri: 'http://localhost:8373'
+            },
+            auth: {
+              type: 'oauth2',
+              tokenUri: 'http://localhost:8373/oauth/token',
+              clientId: 'client',
+              clientSecret: 'secret'
+            }
+          },
+          unstableapi: {
+            engine: 'Http',
+            parameters: {
+              baseUri: 'http://localhost:8373'
+            },
+            circuitBreaker: {
+              threshold: 3,
+              resetTimeout: 200
+            }
           }
         }
       }
@@ -60,13 +127,16 @@ describe('Http', () => {
 
     googleSearch = new GoogleSearchMockup(key, cx);
     website = new WebsiteMockup();
+    restApi = new RestApiMockup();
     await googleSearch.startup();
     await website.startup();
+    await restApi.startup();
   });
 
   after(async () => {
     await googleSearch.shutdown();
     await website.shutdown();
+    await restApi.shutdown();
     await container.shutdown();
   });
 
@@ -149,4 +219,241 @@ describe('Http', () => {
       expect(result.results).to.have.length(25);
     });
   });
+
+  it('can sort listed items', () => {
+    return storage.query('{listWebsiteItems(sort: ["!name", "id"]) { id name }}').then(result => {
+      const names = website.people.slice(0, 25).map(person => person.name);
+      expect(result.listWebsiteItems.map(item => item.name)).to.deep.equal(names.sort().reverse());
+    });
+  });
+
+  it('can count items with the count operation', () => {
+    return storage.query('{countWebsiteItems}').then(result => {
+      expect(result.countWebsiteItems).to.equal(25);
+    });
+  });
+
+  it('can create items', () => {
+    const query = `{
+      createContact(name: "John", email: "john@example.com") {
+        id name email
+      }
+    }`;
+    return storage.query(query).then(result => {
+      // The id is generated by the remote API.
+      expect(result.createContact).to.deep.equal({
+        id: 'c1',
+        name: 'John',
+        email: 'john@example.com'
+      });
+      expect(restApi.lastRequest().method).to.equal('POST');
+      expect(restApi.lastRequest().body).to.deep.equal({
+        name: 'John',
+        email: 'john@example.com'
+      });
+      expect(restApi.contacts.c1.name).to.equal('John');
+    });
+  });
+
+  it('can count items with the total from the list template', () => {
+    return storage.query('{countContact}').then(result => {
+      expect(result.countContact).to.equal(1);
+      expect(restApi.lastRequest().path).to.equal('/contacts');
+    });
+  });
+
+  it('validates items returned by the remote API', () => {
+    return storage.query('{listInvalidContact { id name }}').then(() => {
+      throw new Error('Query should fail');
+    }, err => {
+      expect(err.status).to.equal(502);
+      expect(err.message).to.equal('Invalid response from remote server for InvalidContact');
+      expect(err.errors[0].message).to.contain('Field "name"');
+    });
+  });
+
+  it('can update items', () => {
+    const query = `{
+      updateContact(id: "c1", name: "Alice") {
+        id name email
+      }
+    }`;
+    return storage.query(query).then(result => {
+      expect(result.updateContact).to.deep.equal({
+        id: 'c1',
+        name: 'Alice',
+        email: 'john@example.com'
+      });
+      expect(restApi.lastRequest().method).to.equal('PUT');
+      expect(restApi.lastRequest().path).to.equal('/contacts/c1');
+      expect(restApi.lastRequest().body).to.deep.equal({name: 'Alice'});
+    });
+  });
+
+  it('can delete items', () => {
+    return storage.query('{deleteContact(id: "c1") { id }}').then(result => {
+      expect(result.deleteContact).to.deep.equal({id: 'c1'});
+      expect(restApi.lastRequest().method).to.equal('DELETE');
+      expect(restApi.contacts).to.deep.equal({});
+    });
+  });
+
+  it('does not take ids from the sequence on create', async () => {
+    const Contact = await storage.models.get('Contact');
+    const get = Contact.sequence.get;
+    Contact.sequence.get = () => {
+      throw new Error('Ids must be generated by the remote API');
+    };
+    const query = '{createContact(name: "Remote", email: "remote@example.com") { id }}';
+    const result = await storage.query(query).finally(() => {
+      Contact.sequence.get = get;
+      restApi.contacts = {};
+    });
+    expect(result.createContact.id).to.match(/^c[0-9]+$/);
+  });
+
+  it('does not cache writes for hosts that cache POST requests', () => {
+    const hosts = storage.httpCache.config.hosts;
+    hosts.localhost = {ttl: 60, post: true};
+    const query = '{createContact(name: "Cached", email: "cached@example.com") { id }}';
+    return storage.query(query).then(() => {
+      return storage.query(query);
+    }).then(() => {
+      expect(Object.keys(restApi.contacts)).to.have.length(2);
+    }).finally(() => {
+      delete hosts.localhost;
+      restApi.contacts = {};
+    });
+  });
+
+  it('fails on errors from the remote API', () => {
+    const query = `{
+      updateContact(id: "c1", name: "Alice") {
+        id
+      }
+    }`;
+    return expect(storage.query(query)).to.be.rejectedWith('Retrieved error code from remote server: 404');
+  });
+
+  it('will not silently ignore unsupported write operations', () => {
+    const query = `{
+      createWebsiteItems(name: "Test") {
+        id
+      }
+    }`;
+    return expect(storage.query(query)).to.be.rejectedWith('Operation "create" is not supported by model');
+  });
+
+  it('can use HTTP Basic authentication', () => {
+    return storage.query('{listBasicContact { id }}').then(() => {
+      const expected = 'Basic ' + Buffer.from('john:secret').toString('base64');
+      expect(restApi.lastRequest().headers.authorization).to.equal(expected);
+    });
+  });
+
+  it('can map errors from the remote API', () => {
+    return storage.query('{readBasicContact(id: "unknown") { id }}').then(() => {
+      throw new Error('Query should fail');
+    }, err => {
+      expect(err.status).to.equal(404);
+      expect(err.message).to.equal('Contact not found');
+    });
+  });
+
+  it('can send an API key and static headers', () => {
+    return storage.query('{listKeyContact { id }}').then(() => {
+      expect(restApi.lastRequest().query.apikey).to.equal('abc123');
+      expect(restApi.lastRequest().headers['x-client']).to.equal('restapir');
+    });
+  });
+
+  it('can use OAuth2 client credentials', () => {
+    restApi.tokenRequests = 0;
+    return storage.query('{listTokenContact { id }}').then(() => {
+      return storage.query('{listTokenContact { id }}');
+    }).then(() => {
+      // The access token is cached.
+      expect(restApi.tokenRequests).to.equal(1);
+      expect(restApi.lastRequest().headers.authorization).to.equal('Bearer token1');
+    });
+  });
+
+  it('will refresh revoked OAuth2 access tokens', () => {
+    restApi.revokeTokens();
+    return storage.query('{listTokenContact { id }}').then(() => {
+      expect(restApi.tokenRequests).to.equal(2);
+      expect(restApi.lastRequest().headers.authorization).to.equal('Bearer token2');
+    });
+  });
+
+  it('logs engine requests in the HttpCache', () => {
+    const keyword = 't';
+    return storage.query('{listGoogleSearch(query:$keyword) { id }}', {keyword}).then(() => {
+      expect(storage.httpCache.lastRequests[0].url).to.contain('/customsearch/v1');
+    });
+  });
+
+  it('uses the HttpCache for script requests', () => {
+    const url = 'http://127.0.0.1:8372/list-more';
+    const script = new Script({
+      name: 'Cached request',
+      steps: [{request: url}]
+    }, storage);
+    website.requestCount();
+    return storage.httpCache.flushAll().then(() => {
+      return script.clone().run({});
+    }).then(() => {
+      return script.clone().run({});
+    }).then(result => {
+      expect(result.result.body).to.contain('list-more');
+      expect(website.requestCount()).to.equal(1);
+      expect(storage.httpCache.lastRequests[0].url).to.equal(url);
+    });
+  });
+
+  it('aborts requests after the timeout', () => {
+    restApi.delay = 500;
+    const start = Date.now();
+    return storage.query('{listSlowContact { id }}').then(() => {
+      throw new Error('Query should fail');
+    }, err => {
+      expect(err.status).to.equal(504);
+      expect(err.message).to.contain('Timeout fetching');
+      expect(Date.now() - start).to.be.below(400);
+    }).finally(() => {
+      restApi.delay = 0;
+    });
+  });
+
+  it('retries requests on server errors', () => {
+    restApi.failures = 2;
+    const count = restApi.requests.length;
+    return storage.query('{listUnstableContact { id }}').then(() => {
+      expect(restApi.requests.length - count).to.equal(3);
+    });
+  });
+
+  it('fails fast while the upstream server is down', () => {
+    restApi.failures = 100;
+    let count;
+    return storage.query('{listUnstableContact { id }}').then(() => {
+      throw new Error('Query should fail');
+    }, err => {
+      expect(err.status).to.equal(502);
+      count = restApi.requests.length;
+      return storage.query('{listUnstableContact { id }}');
+    }).then(() => {
+      throw new Error('Query should fail');
+    }, err => {
+      expect(err.status).to.equal(503);
+      expect(err.message).to.equal('Upstream service unavailable');
+      expect(restApi.requests.length).to.equal(count);
+      restApi.failures = 0;
+      return Bluebird.delay(250);
+    }).then(() => {
+      return storage.query('{listUnstableContact { id }}');
+    }).then(() => {
+      expect(restApi.requests.length).to.equal(count + 1);
+    });
+  });
 });
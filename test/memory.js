@@ -0,0 +1,538 @@
+/* eslint-env node, mocha */
+'use strict';
+
+const Fs = require('fs');
+
+const Bluebird = require('bluebird');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const Container = require('../classes/container');
+const Context = require('../classes/context');
+const Ids = require('../classes/ids');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('Memory', () => {
+  const snapshot = '/tmp/restapir-test-snapshot.json';
+  const existingId = new Ids(1).id;
+  let container;
+  let storage;
+  let author;
+  let post;
+
+  before(async () => {
+    // Start with a snapshot that contains a single author.
+    Fs.writeFileSync(snapshot, JSON.stringify({
+      tables: {
+        Author: {
+          [existingId]: {id: existingId, name: 'Existing'}
+        }
+      },
+      sequences: {
+        Author: 1
+      }
+    }));
+
+    container = new Container();
+    await container.startup();
+
+    const config = await container.get('Config');
+    config.set({
+      storage: {
+        modelsDir: 'test/memory/models',
+        databases: {
+          internal: {
+            engine: 'memory'
+          },
+          memory: {
+            engine: 'Memory',
+            snapshot
+          }
+        }
+      }
+    });
+    storage = await container.get('Storage');
+  });
+
+  after(async () => {
+    await container.shutdown();
+  });
+
+  it('can read items from snapshot', () => {
+    return storage.query('{readAuthor(id: $id) { id name }}', {id: existingId}).then(result => {
+      expect(result.readAuthor).to.deep.equal({id: existingId, name: 'Existing'});
+    });
+  });
+
+  it('can create an item', () => {
+    return storage.query('{createAuthor(name: "John") { id name }}').then(result => {
+      author = result.createAuthor;
+      expect(author.name).to.equal('John');
+      // The id counter continues from the snapshot.
+      expect(author.id).not.to.equal(existingId);
+    });
+  });
+
+  it('writes changes to snapshot', () => {
+    const contents = JSON.parse(Fs.readFileSync(snapshot));
+    expect(contents.tables.Author[author.id]).to.deep.equal(author);
+    expect(contents.sequences.Author).to.equal(2);
+  });
+
+  it('can store all types', () => {
+    const query = `{
+      createPost(title: "Test", status: "draft", rank: 3, score: 1.5, published: true, tags: ["a", "b"], meta: {x: 1}, author: $author) {
+        id
+      }
+    }`;
+    return storage.query(query, {author: author.id}).then(result => {
+      post = result.createPost;
+      return storage.query('{readPost(id: $id) { id title status rank score published tags meta author }}', {id: post.id});
+    }).then(result => {
+      expect(result.readPost).to.deep.equal({
+        id: post.id,
+        title: 'Test',
+        status: 'draft',
+        rank: 3,
+        score: 1.5,
+        published: true,
+        tags: ['a', 'b'],
+        meta: {x: 1},
+        author: author.id
+      });
+    });
+  });
+
+  it('returns null for missing fields', () => {
+    return storage.query('{createPost(title: "Second", status: "published", rank: 1) { id }}').then(result => {
+      return storage.query('{readPost(id: $id) { id score published }}', {id: result.createPost.id});
+    }).then(result => {
+      expect(result.readPost.score).to.equal(null);
+      expect(result.readPost.published).to.equal(null);
+    });
+  });
+
+  it('can filter list on indexed field', () => {
+    return storage.query('{listPost(status: "draft") { id }}').then(result => {
+      expect(result.listPost).to.deep.equal([{id: post.id}]);
+    });
+  });
+
+  it('can filter list on multiple fields', () => {
+    return storage.query('{a: listPost(status: "draft", rank: 1) { id } b: listPost(status: "draft", rank: 3) { id }}').then(result => {
+      expect(result.a).to.have.length(0);
+      expect(result.b).to.have.length(1);
+    });
+  });
+
+  it('can sort list', () => {
+    return storage.query('{a: listPost(sort: "rank") { rank } b: listPost(sort: "!rank") { rank }}').then(result => {
+      expect(result.a.map(item => item.rank)).to.deep.equal([1, 3]);
+      expect(result.b.map(item => item.rank)).to.deep.equal([3, 1]);
+    });
+  });
+
+  it('can use limit and offset', () => {
+    return storage.query('{listPost(sort: "rank", limit: 1, offset: 1) { rank }}').then(result => {
+      expect(result.listPost).to.deep.equal([{rank: 3}]);
+    });
+  });
+
+  it('can sort list on multiple and nested fields', () => {
+    return storage.query('{a: listPost(sort: ["status", "!rank"]) { title } b: listPost(sort: "meta.x") { title }}').then(result => {
+      expect(result.a.map(item => item.title)).to.deep.equal(['Test', 'Second']);
+      expect(result.b.map(item => item.title)).to.deep.equal(['Test', 'Second']);
+    });
+  });
+
+  it('rejects invalid sort', () => {
+    return expect(storage.query('{listPost(sort: ["rank", "tags"]) { id }}')).to.be.rejectedWith('Invalid sort');
+  });
+
+  it('can count items', () => {
+    return storage.query('{a: countPost b: countPost(status: "draft")}').then(result => {
+      expect(result.a).to.equal(2);
+      expect(result.b).to.equal(1);
+    });
+  });
+
+  it('can filter list with operators', () => {
+    const query = `{
+      a: listPost(rank_gt: 1) { title }
+      b: listPost(rank_lte: 3, title_contains: "eco") { title }
+      c: listPost(status_in: ["draft", "archived"]) { title }
+      d: listPost(tags_contains: "b") { title }
+      e: listPost(status_ne: "draft") { title }
+      f: listPost(_or: [{rank: 1}, {tags_contains: "a"}], sort: "rank") { title }
+    }`;
+    return storage.query(query).then(result => {
+      expect(result.a).to.deep.equal([{title: 'Test'}]);
+      expect(result.b).to.deep.equal([{title: 'Second'}]);
+      expect(result.c).to.deep.equal([{title: 'Test'}]);
+      expect(result.d).to.deep.equal([{title: 'Test'}]);
+      expect(result.e).to.deep.equal([{title: 'Second'}]);
+      expect(result.f).to.deep.equal([{title: 'Second'}, {title: 'Test'}]);
+    });
+  });
+
+  it('can count items with operators', () => {
+    return storage.query('{a: countPost(rank_gte: 1) b: countPost(score_lt: 2)}').then(result => {
+      expect(result.a).to.equal(2);
+      // Items without a score do not match.
+      expect(result.b).to.equal(1);
+    });
+  });
+
+  it('rejects invalid filters', () => {
+    return Promise.all([
+      expect(storage.query('{listPost(_or: [{rank_gt: "high"}]) { id }}')).to.be.rejectedWith('Invalid filters'),
+      expect(storage.query('{listPost(_or: [{published_gt: true}]) { id }}')).to.be.rejectedWith('Invalid filters'),
+      expect(storage.query('{listPost(_or: [{unknown: 1}]) { id }}')).to.be.rejectedWith('Invalid filters'),
+      // Arguments are checked against the schema, also when passed as variables.
+      expect(storage.query('{listPost(rank_gt: "high") { id }}')).to.be.rejectedWith('Argument "rank_gt" has invalid value "high"'),
+      expect(storage.query('{listPost(rank_gt: $rank) { id }}', {rank: 'high'})).to.be.rejectedWith('Variable "$rank" has invalid value "high"')
+    ]);
+  });
+
+  it('can read reverse references', () => {
+    return storage.query('{readAuthor(id: $id) { posts { id } }}', {id: author.id}).then(result => {
+      expect(result.readAuthor.posts).to.deep.equal([{id: post.id}]);
+    });
+  });
+
+  it('loads references in a single request per model', async () => {
+    const Author = await storage.models.get('Author');
+    const Post = await storage.models.get('Post');
+    const calls = {read: 0, readMany: 0, list: 0, listMany: 0};
+    const spy = (model, method) => {
+      const original = model[method];
+      model[method] = function(...args) {
+        ++calls[method];
+        return original.apply(this, args);
+      };
+      return () => {
+        model[method] = original;
+      };
+    };
+    const restore = [spy(Author, 'read'), spy(Author, 'readMany'), spy(Post, 'list'), spy(Post, 'listMany')];
+    const query = `{
+      posts: listPost { title author { name } }
+      authors: listAuthor(sort: "name") { name posts { title } }
+    }`;
+    const result = await storage.query(query);
+    restore.forEach(fn => fn());
+    expect(result.posts.map(post => post.author)).to.deep.equal([{name: 'John'}, null]);
+    expect(result.authors).to.deep.equal([
+      {name: 'Existing', posts: []},
+      {name: 'John', posts: [{title: 'Test'}]}
+    ]);
+    // One list for the posts and one for the posts of all authors. The
+    // memory engine reads the unique ids one by one in readMany().
+    expect(calls).to.deep.equal({read: 1, readMany: 1, list: 1, listMany: 1});
+  });
+
+  it('executes read-only fields concurrently', async () => {
+    const Post = await storage.models.get('Post');
+    const list = Post.list;
+    let active = 0;
+    let maxActive = 0;
+    Post.list = function(...args) {
+      ++active;
+      maxActive = Math.max(active, maxActive);
+      // Lists on posts are slower, so these complete after the other fields.
+      return Bluebird.delay(20).then(() => {
+        --active;
+        return list.apply(this, args);
+      });
+    };
+    const query = `{
+      a: listPost(status: "draft") { title }
+      b: listPost(status: "published") { title }
+      c: countAuthor
+      d: createAuthor(name: "Concurrent") { id }
+      e: countAuthor
+    }`;
+    const result = await storage.query(query).finally(() => {
+      Post.list = list;
+    });
+    await storage.query('{deleteAuthor(id: $id)}', {id: result.d.id});
+    expect(maxActive).to.equal(2);
+    expect(Object.keys(result)).to.deep.equal(['a', 'b', 'c', 'd', 'e']);
+    expect(result.a).to.deep.equal([{title: 'Test'}]);
+    // Fields after a mutation see its changes.
+    expect(result.e).to.equal(result.c + 1);
+  });
+
+  it('can paginate lists with cursors', async () => {
+    const query = '{posts: listPostConnection(first: 1, after: $after, sort: "!rank") { items { title } endCursor hasNextPage totalCount }}';
+    const first = await storage.query(query, {after: null});
+    expect(first.posts.items).to.deep.equal([{title: 'Test'}]);
+    expect(first.posts.hasNextPage).to.equal(true);
+    expect(first.posts.totalCount).to.equal(2);
+
+    // Items added before the cursor do not shift the next page.
+    const added = await storage.query('{createPost(title: "Added", rank: 5) { id }}');
+    const second = await storage.query(query, {after: first.posts.endCursor});
+    await storage.query('{deletePost(id: $id)}', {id: added.createPost.id});
+    expect(second.posts.items).to.deep.equal([{title: 'Second'}]);
+    expect(second.posts.hasNextPage).to.equal(false);
+    expect(second.posts.totalCount).to.equal(3);
+  });
+
+  it('rejects invalid cursors', () => {
+    return Promise.all([
+      expect(storage.query('{listPostConnection(after: "invalid") { items { id } }}')).to.be.rejectedWith('Invalid cursor'),
+      expect(storage.query('{listPostConnection(first: 0) { items { id } }}')).to.be.rejectedWith('Invalid pagination'),
+      expect(storage.query('{listPostConnection(first: 1) { id }}')).to.be.rejectedWith('Cannot query field "id"')
+    ]);
+  });
+
+  it('can paginate reverse references with cursors', () => {
+    const query = '{readAuthor(id: $id) { postsConnection(first: 1) { items { id } hasNextPage totalCount } }}';
+    return storage.query(query, {id: author.id}).then(result => {
+      expect(result.readAuthor.postsConnection).to.deep.equal({items: [{id: post.id}], hasNextPage: false, totalCount: 1});
+    });
+  });
+
+  it('applies access rules', () => {
+    const context = new Context();
+    context.setUser({id: existingId});
+    const query = '{updatePost(id: $id, title: "Updated") { id }}';
+    return expect(storage.query(query, context, {id: post.id})).to.be.rejectedWith('Permission denied');
+  });
+
+  it('can update item', () => {
+    const context = new Context();
+    context.setUser({id: author.id});
+    const query = '{updatePost(id: $id, title: "Updated", status: "published") { id title status rank }}';
+    return storage.query(query, context, {id: post.id}).then(result => {
+      expect(result.updatePost.title).to.equal('Updated');
+      expect(result.updatePost.rank).to.equal(3);
+      return storage.query('{countPost(status: "draft")}');
+    }).then(result => {
+      // The index is updated.
+      expect(result.countPost).to.equal(0);
+    });
+  });
+
+  it('can delete item', () => {
+    return storage.query('{deletePost(id: $id) { id }}', {id: post.id}).then(() => {
+      return storage.query('{a: countPost b: countPost(status: "published")}');
+    }).then(result => {
+      expect(result.a).to.equal(1);
+      expect(result.b).to.equal(1);
+    });
+  });
+
+  it('rolls back all changes when a field in a transaction fails', async () => {
+    const before = await storage.query('{author: readAuthor(id: $id) { name } posts: listPost { id title }}', {id: existingId});
+    const postId = before.posts[0].id;
+    const query = `mutation @transaction {
+      a: createAuthor(name: "Transaction") { id }
+      b: updateAuthor(id: $authorId, name: "Changed") { id }
+      c: deletePost(id: $postId) { id }
+      d: createPost(title: $title) { id }
+      e: createAuthor(name: "Skipped") { id }
+    }`;
+    const err = await storage.query(query, {authorId: existingId, postId, title: 'x'.repeat(256)}).then(() => null, err => err);
+    expect(err.message).to.equal('Validation failed');
+    expect(err.data).to.equal(null);
+    expect(err.errors.map(error => error.path)).to.deep.equal([['d']]);
+    const after = await storage.query(`{
+      created: listAuthor(name_in: ["Transaction", "Skipped"]) { id }
+      author: readAuthor(id: $id) { name }
+      posts: listPost { id title }
+    }`, {id: existingId});
+    expect(after.created).to.deep.equal([]);
+    expect(after.author).to.deep.equal(before.author);
+    expect(after.posts).to.deep.equal(before.posts);
+  });
+
+  it('commits transactions without failures', async () => {
+    const result = await storage.query('mutation @transaction { createAuthor(name: "Committed") { id } }');
+    const id = result.createAuthor.id;
+    const read = await storage.query('{readAuthor(id: $id) { name }}', {id});
+    expect(read.readAuthor.name).to.equal('Committed');
+    await storage.query('{deleteAuthor(id: $id)}', {id});
+  });
+
+  it('rolls back all changes when a commit fails', async () => {
+    const Author = await storage.models.get('Author');
+    const Post = await storage.models.get('Post');
+    const events = [];
+    // Native transactions on two databases, of which the first fails to commit.
+    const fake = (model, key, commit) => {
+      model.begin = transaction => {
+        return transaction.getHandle(key, () => ({
+          commit: () => {
+            events.push(`commit ${key}`);
+            return commit();
+          },
+          rollback: () => {
+            events.push(`rollback ${key}`);
+          }
+        })).then(() => null);
+      };
+    };
+    fake(Author, 'authors', () => Bluebird.reject(new Error('Commit failed')));
+    fake(Post, 'posts', () => null);
+    const query = 'mutation @transaction { a: createAuthor(name: "Uncommitted") { id } b: createPost(title: "Uncommitted") { id } }';
+    const err = await storage.query(query).then(() => null, err => err).finally(() => {
+      delete Author.begin;
+      delete Post.begin;
+    });
+    expect(err.message).to.equal('Commit failed');
+    expect(events).to.deep.equal(['commit authors', 'rollback posts']);
+    const after = await storage.query('{a: countAuthor(name: "Uncommitted") b: countPost(title: "Uncommitted")}');
+    expect(after).to.deep.equal({a: 0, b: 0});
+  });
+
+  it('rolls back all databases when a rollback fails', async () => {
+    const Author = await storage.models.get('Author');
+    const Post = await storage.models.get('Post');
+    const events = [];
+    const fake = (model, key, rollback) => {
+      model.begin = transaction => {
+        return transaction.getHandle(key, () => ({
+          commit: () => null,
+          rollback: () => {
+            events.push(`rollback ${key}`);
+            return rollback();
+          }
+        })).then(() => null);
+      };
+    };
+    fake(Author, 'authors', () => Bluebird.reject(new Error('Rollback failed')));
+    fake(Post, 'posts', () => null);
+    const query = 'mutation @transaction { a: createAuthor(name: "Rolled back") { id } b: createPost(title: $title) { id } }';
+    const err = await storage.query(query, {title: 'x'.repeat(256)}).then(() => null, err => err).finally(() => {
+      delete Author.begin;
+      delete Post.begin;
+    });
+    expect(err.message).to.equal('Rollback failed');
+    expect(events).to.deep.equal(['rollback authors', 'rollback posts']);
+    const after = await storage.query('{countAuthor(name: "Rolled back")}');
+    expect(after.countAuthor).to.equal(0);
+  });
+
+  /**
+   * @doc
+   * ## Upserts
+   * The ``upsert`` operation updates an item when it exists and creates it
+   * otherwise. Items are matched on the ``id`` when given, or else on the
+   * fields of the natural key, which is declared in the model:
+   * ```
+   * name: Post
+   * naturalKey: title
+   * ```
+   * A list of fields can be used as well. Upserts without id on models
+   * without natural key always create an item. Access checks, validation
+   * and plugins are the same as for the create or update operation that the
+   * upsert resolves to. The item is looked up with a read or list operation,
+   * which requires access to these operations as well.
+   *
+   * Concurrent upserts on the same natural key are executed one after
+   * another, thus only the first creates an item. This only applies to
+   * upserts handled by the same process. The natural key is not enforced to
+   * be unique in the database, thus add a unique index on its fields when
+   * upserting from multiple processes. When the natural key matches
+   * multiple items, the item with the lowest id is updated.
+   */
+  it('can upsert items on the natural key', async () => {
+    const query = '{upsertPost(title: "Upserted", status: $status) { id status }}';
+    const created = await storage.query(query, {status: 'draft'});
+    const updated = await storage.query(query, {status: 'published'});
+    expect(updated.upsertPost).to.deep.equal({id: created.upsertPost.id, status: 'published'});
+    const count = await storage.query('{countPost(title: "Upserted")}');
+    expect(count.countPost).to.equal(1);
+    await storage.query('{deletePost(id: $id)}', {id: created.upsertPost.id});
+  });
+
+  it('creates a single item for concurrent upserts', async () => {
+    const query = '{upsertPost(title: "Concurrent", rank: $rank) { id rank }}';
+    const results = await Bluebird.all([1, 2, 3].map(rank => storage.query(query, {rank})));
+    const ids = Array.from(new Set(results.map(result => result.upsertPost.id)));
+    expect(ids).to.have.length(1);
+    const list = await storage.query('{listPost(title: "Concurrent") { id rank }}');
+    expect(list.listPost).to.deep.equal([{id: ids[0], rank: 3}]);
+    await storage.query('{deletePost(id: $id)}', {id: ids[0]});
+  });
+
+  it('upserts the item with the lowest id when the natural key has duplicates', async () => {
+    const created = await storage.query('{a: createPost(title: "Duplicate") { id } b: createPost(title: "Duplicate") { id }}');
+    const ids = [created.a.id, created.b.id].sort();
+    const updated = await storage.query('{upsertPost(title: "Duplicate", rank: 5) { id rank }}');
+    expect(updated.upsertPost).to.deep.equal({id: ids[0], rank: 5});
+    for (const id of ids) {
+      await storage.query('{deletePost(id: $id)}', {id});
+    }
+  });
+
+  it('can upsert items on the id', async () => {
+    const created = await storage.query('{createPost(title: "By id", rank: 1) { id }}');
+    const id = created.createPost.id;
+    const updated = await storage.query('{upsertPost(id: $id, rank: 2) { id title rank }}', {id});
+    expect(updated.upsertPost).to.deep.equal({id, title: 'By id', rank: 2});
+    await storage.query('{deletePost(id: $id)}', {id});
+    await expect(storage.query('{upsertPost(id: $id, rank: 2) { id }}', {id})).to.be.rejectedWith('Item not found');
+  });
+
+  it('validates upserts', async () => {
+    await expect(storage.query('{upsertPost(status: "draft") { id }}')).to.be.rejectedWith('Validation failed');
+    const title = 'x'.repeat(256);
+    await expect(storage.query('{upsertPost(title: $title) { id }}', {title})).to.be.rejectedWith('Validation failed');
+    const count = await storage.query('{countPost(title: $title)}', {title});
+    expect(count.countPost).to.equal(0);
+  });
+
+  it('checks access on the operation that upserts resolve to', async () => {
+    const created = await storage.query('{createPost(title: "Owned", author: $author) { id }}', {author: author.id});
+    const context = new Context();
+    context.setUser({id: existingId});
+    const update = storage.query('{upsertPost(title: "Owned", rank: 1) { id }}', context);
+    await expect(update).to.be.rejectedWith('Permission denied on "updatePost"');
+    const create = storage.query('{upsertPost(title: "Other", author: $author) { id }}', context, {author: author.id});
+    await expect(create).to.be.rejectedWith('Permission denied on "createPost"');
+    await storage.query('{deletePost(id: $id)}', {id: created.createPost.id});
+  });
+
+  it('checks access on the lookup of upserts', async () => {
+    const context = new Context();
+    context.setUser({id: existingId});
+    const operations = [];
+    context.access = (models, model, operation) => {
+      operations.push(operation);
+      return operation !== 'list';
+    };
+    const upsert = storage.query('{upsertPost(title: "Test", author: $author) { id }}', context, {author: existingId});
+    await expect(upsert).to.be.rejectedWith('Permission denied on "listPost"');
+    expect(operations).to.deep.equal(['list']);
+  });
+
+  it('notifies subscribers of changes', () => {
+    const events = [];
+    let subscription;
+    let id;
+    const query = '{listPost(status: "review") { id title }}';
+    return storage.subscribe(query, undefined, {}, (type, data) => {
+      events.push({type, data});
+    }).then(_subscription => {
+      subscription = _subscription;
+      return storage.query('{createPost(title: "Review", status: "review") { id }}');
+    }).then(result => {
+      id = result.createPost.id;
+      return storage.query('{updatePost(id: $id, status: "published") { id }}', {id});
+    }).then(() => {
+      // Events are handled asynchronously.
+      return Bluebird.delay(10);
+    }).then(() => {
+      subscription.close();
+      expect(events).to.deep.equal([
+        {type: 'create', data: {listPost: {id, title: 'Review'}}},
+        {type: 'remove', data: {listPost: {id}}}
+      ]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const BlueGate = require('bluegate');
+const HttpError = require('http-errors');
+
+/**
+ * REST API mockup.
+ *
+ * This mockup represents a JSON REST API with a single "contacts" resource.
+ * It is used for testing write operations on HTTP-backed models.
+ *
+ * The following endpoints are available:
+ *
+ * GET /contacts
+ *   List all contacts, with the total number of contacts.
+ * GET /contacts/[id]
+ *   Get a single contact.
+ * POST /contacts
+ *   Create a contact. The API generates the id.
+ * PUT /contacts/[id]
+ *   Update a contact. Only provided properties are changed.
+ * DELETE /contacts/[id]
+ *   Delete a contact.
+ * POST /oauth/token
+ *   Get an access token using the OAuth2 client credentials grant.
+ * GET /secure/contacts
+ *   List all contacts. Requires a valid access token.
+ * GET /slow/contacts
+ *   List all contacts after a delay of "delay" milliseconds.
+ * GET /unstable/contacts
+ *   List all contacts. Responds with a 503 error for the next "failures"
+ *   requests.
+ */
+class RestApi {
+  constructor() {
+    this.contacts = {};
+    this.lastId = 0;
+    this.requests = [];
+    this.clientId = 'client';
+    this.clientSecret = 'secret';
+    this.tokens = [];
+    this.tokenRequests = 0;
+    this.delay = 0;
+    this.failures = 0;
+  }
+
+  startup() {
+    this.api = new BlueGate({log: false});
+    this.api.error(request => {
+      if (request.error instanceof HttpError.HttpError) {
+        request.status = request.error.status;
+        return {message: request.error.message};
+      }
+      console.error(request.error);
+    });
+    this.api.initialize(request => {
+      this.requests.push({
+        method: request.method,
+        path: request.path,
+        query: _.fromPairs(request.query.map(key => [key, request.getQuery(key, 'string')])),
+        headers: request.headers,
+        body: request.body
+      });
+    });
+
+    this.api.process('GET /contacts', () => {
+      const items = _.values(this.contacts);
+      return {items, total: items.length};
+    });
+
+    this.api.process('GET /contacts/<id:string>', id => {
+      if (typeof this.contacts[id] === 'undefined') {
+        throw new HttpError(404, 'Contact not found');
+      }
+      return this.contacts[id];
+    });
+
+    this.api.process('POST /contacts', request => {
+      const id = `c${++this.lastId}`;
+      this.contacts[id] = _.assign({id}, _.pick(request.body, ['name', 'email']));
+      request.status = 201;
+      return this.contacts[id];
+    });
+
+    this.api.process('PUT /contacts/<id:string>', (id, request) => {
+      if (typeof this.contacts[id] === 'undefined') {
+        throw new HttpError(404, 'Contact not found');
+      }
+      _.assign(this.contacts[id], _.pick(request.body, ['name', 'email']));
+      return this.contacts[id];
+    });
+
+    this.api.process('DELETE /contacts/<id:string>', id => {
+      if (typeof this.contacts[id] === 'undefined') {
+        throw new HttpError(404, 'Contact not found');
+      }
+      delete this.contacts[id];
+      return {};
+    });
+
+    this.api.process('POST /oauth/token', request => {
+      ++this.tokenRequests;
+      const body = request.body;
+      if (body.grant_type !== 'client_credentials' || body.client_id !== this.clientId || body.client_secret !== this.clientSecret) {
+        throw new HttpError(401, 'Invalid client');
+      }
+      const token = `token${this.tokenRequests}`;
+      this.tokens.push(token);
+      return {
+        access_token: token,
+        token_type: 'bearer',
+        expires_in: 3600
+      };
+    });
+
+    this.api.process('GET /secure/contacts', request => {
+      const match = String(request.headers.authorization).match(/^Bearer (.+)$/);
+      if (!match || this.tokens.indexOf(match[1]) < 0) {
+        throw new HttpError(401, 'Invalid access token');
+      }
+      return {items: _.values(this.contacts)};
+    });
+
+    this.api.process('GET /slow/contacts', () => {
+      return Bluebird.delay(this.delay).then(() => {
+        return {items: _.values(this.contacts)};
+      });
+    });
+
+    this.api.process('GET /unstable/contacts', () => {
+      if (this.failures > 0) {
+        --this.failures;
+        throw new HttpError(503, 'Service unavailable');
+      }
+      return {items: _.values(this.contacts)};
+    });
+
+    return this.api.listen(8373);
+  }
+
+  shutdown() {
+    return this.api.close();
+  }
+
+  revokeTokens() {
+    this.tokens = [];
+  }
+
+  lastRequest() {
+    return this.requests[this.requests.length - 1];
+  }
+}
+
+module.exports = RestApi;
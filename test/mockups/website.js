@@ -13,7 +13,8 @@ const BlueGate = require('bluegate');
  * The following pages are available:
  *
  * /list-more
- *   List with a "load more" button to get following results.
+ *   List with a "load more" button to get following results and the total
+ *   number of items.
  * /list-pages
  *   List with page numbering
  * /item/[0-9]
@@ -50,7 +51,8 @@ class Website {
       const items = this.people.slice(0, 10).map((item, index) => {
         return `<div class="item"><a href="/item/${index}">${item.name}</a></div>`;
       });
-      return this.html(`<ul class="items">${items}</ul><a href="/list-more/1" class="list-more">List more</a>`);
+      const total = `<div class="total">${this.people.length}</div>`;
+      return this.html(`${total}<ul class="items">${items}</ul><a href="/list-more/1" class="list-more">List more</a>`);
     });
     this.api.process('GET /list-more/<page:int>', page => {
       const items = this.people.slice(page * 10, (page * 10) + 10).map((item, index) => {
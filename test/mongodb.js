@@ -0,0 +1,219 @@
+/* eslint-env node, mocha */
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const Container = require('../classes/container');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('MongoDB', () => {
+  let container;
+  let storage;
+  let author;
+  let post;
+
+  before(async () => {
+    container = new Container();
+    await container.startup();
+
+    const config = await container.get('Config');
+    config.set({
+      storage: {
+        modelsDir: 'test/mongodb/models',
+        databases: {
+          internal: {
+            engine: 'redis',
+            host: 'localhost',
+            port: 6379,
+            prefix: ''
+          },
+          mongodb: {
+            engine: 'MongoDB',
+            host: 'localhost',
+            port: 27017,
+            name: 'test'
+          }
+        }
+      }
+    });
+    storage = await container.get('Storage');
+  });
+
+  after(async () => {
+    await container.shutdown();
+  });
+
+  it('can create an item', () => {
+    const query = `{
+      createAuthor(name: "John") {
+        id name
+      }
+    }`;
+    return storage.query(query).then(result => {
+      expect(result.createAuthor).to.have.property('id');
+      expect(result.createAuthor.name).to.equal('John');
+      author = result.createAuthor;
+    });
+  });
+
+  it('will generate unique ids from the sequences collection', () => {
+    const query = `{
+      a: createAuthor(name: "Alice") { id }
+      b: createAuthor(name: "Bob") { id }
+    }`;
+    return storage.query(query).then(result => {
+      expect(result.a.id).not.to.equal(result.b.id);
+      expect(result.a.id).not.to.equal(author.id);
+    });
+  });
+
+  it('can store all types', () => {
+    const query = `{
+      createPost(title: "Test", status: "draft", rank: 3, score: 1.5, published: true, tags: ["a", "b"], meta: {x: 1}, author: $author) {
+        id title status rank score published tags meta author
+      }
+    }`;
+    return storage.query(query, {author: author.id}).then(result => {
+      post = result.createPost;
+      return storage.query('{readPost(id: $id) { id title status rank score published tags meta author }}', {id: post.id});
+    }).then(result => {
+      expect(result.readPost).to.deep.equal({
+        id: post.id,
+        title: 'Test',
+        status: 'draft',
+        rank: 3,
+        score: 1.5,
+        published: true,
+        tags: ['a', 'b'],
+        meta: {x: 1},
+        author: author.id
+      });
+    });
+  });
+
+  it('returns null for missing fields', () => {
+    return storage.query('{createPost(title: "Second", status: "published", rank: 1) { id }}').then(result => {
+      return storage.query('{readPost(id: $id) { id score published }}', {id: result.createPost.id});
+    }).then(result => {
+      expect(result.readPost.score).to.equal(null);
+      expect(result.readPost.published).to.equal(null);
+    });
+  });
+
+  it('can filter list on indexed field', () => {
+    return storage.query('{listPost(status: "draft") { id }}').then(result => {
+      expect(result.listPost).to.have.length(1);
+      expect(result.listPost[0].id).to.equal(post.id);
+    });
+  });
+
+  it('can filter list on multiple fields', () => {
+    return storage.query('{listPost(status: "draft", rank: 1) { id }}').then(result => {
+      expect(result.listPost).to.have.length(0);
+    });
+  });
+
+  it('can sort list', () => {
+    const query = `{
+      a: listPost(sort: "rank") { rank }
+      b: listPost(sort: "!rank") { rank }
+      c: listPost(sort: "score") { title }
+      d: listPost(sort: "!score") { title }
+      e: listPost(sort: ["meta.y", "!title"]) { title }
+      f: listPost(sort: ["!meta.x", "title"]) { title }
+    }`;
+    return storage.query(query).then(result => {
+      expect(result.a.map(item => item.rank)).to.deep.equal([1, 3]);
+      expect(result.b.map(item => item.rank)).to.deep.equal([3, 1]);
+      // Nulls come last in ascending order.
+      expect(result.c.map(item => item.title)).to.deep.equal(['Test', 'Second']);
+      expect(result.d.map(item => item.title)).to.deep.equal(['Second', 'Test']);
+      expect(result.e.map(item => item.title)).to.deep.equal(['Test', 'Second']);
+      expect(result.f.map(item => item.title)).to.deep.equal(['Second', 'Test']);
+    });
+  });
+
+  it('can use limit and offset', () => {
+    return storage.query('{listPost(sort: "rank", limit: 1, offset: 1) { rank }}').then(result => {
+      expect(result.listPost).to.deep.equal([{rank: 3}]);
+    });
+  });
+
+  it('can count items', () => {
+    return storage.query('{a: countPost b: countPost(status: "draft")}').then(result => {
+      expect(result.a).to.equal(2);
+      expect(result.b).to.equal(1);
+    });
+  });
+
+  it('can filter list with operators', () => {
+    const query = `{
+      a: listPost(rank_gt: 1) { title }
+      b: listPost(status_in: ["draft", "archived"], tags_contains: "b") { title }
+      c: listPost(_or: [{rank: 1}, {title_contains: "es"}], sort: "!rank", limit: 1, offset: 1) { title }
+      d: listPost(score_ne: 1.5, published_ne: true, rank_in: [1, 2]) { title }
+      e: countPost(score_lt: 2)
+    }`;
+    return storage.query(query).then(result => {
+      expect(result.a).to.deep.equal([{title: 'Test'}]);
+      expect(result.b).to.deep.equal([{title: 'Test'}]);
+      expect(result.c).to.deep.equal([{title: 'Second'}]);
+      expect(result.d).to.deep.equal([{title: 'Second'}]);
+      expect(result.e).to.equal(1);
+    });
+  });
+
+  it('can read reverse references', () => {
+    return storage.query('{readAuthor(id: $id) { posts { id } }}', {id: author.id}).then(result => {
+      expect(result.readAuthor.posts).to.deep.equal([{id: post.id}]);
+    });
+  });
+
+  it('lists references for multiple items with a single query', async () => {
+    const alice = await storage.query('{listAuthor(name: "Alice") { id }}');
+    const id = alice.listAuthor[0].id;
+    const created = await storage.query(`{
+      a: createPost(title: "First", status: "draft", rank: 5, author: $id) { id }
+      b: createPost(title: "Last", status: "draft", author: $id) { id }
+      c: createPost(title: "Other", status: "published", rank: 7, author: $id) { id }
+    }`, {id});
+    const Post = await storage.models.get('Post');
+    const aggregate = Post.collection.aggregate;
+    let count = 0;
+    Post.collection.aggregate = function() {
+      ++count;
+      return aggregate.apply(this, arguments);
+    };
+    const result = await storage.query('{listAuthor(sort: "name") { name posts(status: "draft", sort: "rank", offset: 1) { title } }}').finally(() => {
+      Post.collection.aggregate = aggregate;
+    });
+    for (const key of Object.keys(created)) {
+      await storage.query('{deletePost(id: $id)}', {id: created[key].id});
+    }
+    expect(count).to.equal(1);
+    expect(result.listAuthor).to.deep.equal([
+      {name: 'Alice', posts: [{title: 'Last'}]},
+      {name: 'Bob', posts: []},
+      {name: 'John', posts: []}
+    ]);
+  });
+
+  it('can update item', () => {
+    return storage.query('{updatePost(id: $id, title: "Updated", meta: null) { id title meta rank }}', {id: post.id}).then(result => {
+      expect(result.updatePost.title).to.equal('Updated');
+      expect(result.updatePost.meta).to.equal(null);
+      expect(result.updatePost.rank).to.equal(3);
+    });
+  });
+
+  it('can delete item', () => {
+    return storage.query('{deletePost(id: $id) { id }}', {id: post.id}).then(() => {
+      return storage.query('{countPost}');
+    }).then(result => {
+      expect(result.countPost).to.equal(1);
+    });
+  });
+});
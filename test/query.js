@@ -66,8 +66,8 @@ describe('Query', () => {
     }).then(() => {
       throw new Error('should be rejected');
     }).catch(err => {
-      expect(err.message).to.contain('is not supported by model');
-      expect(err.message).to.contain('write');
+      expect(err.message).to.contain('Cannot query field');
+      expect(err.message).to.contain('writePost');
     }).done();
   });
 
@@ -299,7 +299,7 @@ describe('Query', () => {
     });
   });
 
-  it('will reject deleting required fields in update', () => {
+  it('will reject invalid literals in update', () => {
     const query = '{story:createStory(title:"testtile",body:"testbody"){id}}';
     return storage.query(query).then(result => {
       const query = `{
@@ -311,6 +311,28 @@ describe('Query', () => {
       return storage.query(query, {id});
     }).then(() => {
       throw new Error('should be rejected');
+    }).catch(err => {
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Argument "title" has invalid value undefined.\nExpected type "String", found undefined.',
+        locations: [{line: 2, column: 34}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
+    }).done();
+  });
+
+  it('will reject deleting required fields in update', () => {
+    const query = '{story:createStory(title:"testtile",body:"testbody"){id}}';
+    return storage.query(query).then(result => {
+      const query = `{
+        updateStory(id:$id,title:$title) {
+          id title body
+        }
+      }`;
+      const id = result.story.id;
+      return storage.query(query, {id, title: null});
+    }).then(() => {
+      throw new Error('should be rejected');
     }).catch(err => {
       expect(err.errors).to.have.length(1);
       expect(err.errors[0].message).to.contain('title');
@@ -338,9 +360,28 @@ describe('Query', () => {
     }).then(() => {
       throw new Error('should be rejected');
     }).catch(err => {
-      expect(err.errors).to.have.length(2);
-      expect(err.errors.sort()[1].message).to.contain('title');
-      expect(err.errors.sort()[1].message).to.contain('wrong type');
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Argument "title" has invalid value 234.\nExpected type "String", found 234.',
+        locations: [{line: 1, column: 26}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
+    }).done();
+  });
+
+  it('will reject invalid variables in create', () => {
+    return Promise.resolve().then(() => {
+      const query = '{story:createStory(title:$title){id}}';
+      return storage.query(query, {title: 234});
+    }).then(() => {
+      throw new Error('should be rejected');
+    }).catch(err => {
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Variable "$title" has invalid value 234.\nExpected type "String", found 234.',
+        locations: [{line: 1, column: 26}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
     }).done();
   });
 
@@ -351,9 +392,28 @@ describe('Query', () => {
     }).then(() => {
       throw new Error('should be rejected');
     }).catch(err => {
-      expect(err.errors).to.have.length(1);
-      expect(err.errors[0].message).to.contain('id');
-      expect(err.errors[0].message).to.contain('wrong type');
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Argument "id" has invalid value {}.\nExpected type "ID", found {}.',
+        locations: [{line: 1, column: 21}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
+    }).done();
+  });
+
+  it('will reject invalid variables in read', () => {
+    return Promise.resolve().then(() => {
+      const query = '{story:readStory(id:$id){id}}';
+      return storage.query(query, {id: {}});
+    }).then(() => {
+      throw new Error('should be rejected');
+    }).catch(err => {
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Variable "$id" has invalid value {}.\nExpected type "ID", found {}.',
+        locations: [{line: 1, column: 21}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
     }).done();
   });
 
@@ -370,9 +430,34 @@ describe('Query', () => {
     }).then(() => {
       throw new Error('should be rejected');
     }).catch(err => {
-      expect(err.errors).to.have.length(1);
-      expect(err.errors[0].message).to.contain('title');
-      expect(err.errors[0].message).to.contain('wrong type');
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Argument "title" has invalid value 123.\nExpected type "String", found 123.',
+        locations: [{line: 2, column: 34}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
+    }).done();
+  });
+
+  it('will reject invalid variables in update', () => {
+    const query = '{story:createStory(title:"Test",body:"Lorem ipsum"){id}}';
+    return storage.query(query).then(result => {
+      const query = `{
+        updateStory(id:$id,title:$title) {
+          id title body
+        }
+      }`;
+      const id = result.story.id;
+      return storage.query(query, {id, title: 123});
+    }).then(() => {
+      throw new Error('should be rejected');
+    }).catch(err => {
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Variable "$title" has invalid value 123.\nExpected type "String", found 123.',
+        locations: [{line: 2, column: 34}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
     }).done();
   });
 
@@ -383,9 +468,28 @@ describe('Query', () => {
     }).then(() => {
       throw new Error('should be rejected');
     }).catch(err => {
-      expect(err.errors).to.have.length(1);
-      expect(err.errors[0].message).to.contain('id');
-      expect(err.errors[0].message).to.contain('wrong type');
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Argument "id" has invalid value {}.\nExpected type "ID", found {}.',
+        locations: [{line: 1, column: 23}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
+    }).done();
+  });
+
+  it('will reject invalid variables in delete', () => {
+    return Promise.resolve().then(() => {
+      const query = '{story:deleteStory(id:$id){id}}';
+      return storage.query(query, {id: {}});
+    }).then(() => {
+      throw new Error('should be rejected');
+    }).catch(err => {
+      expect(err.status).to.equal(400);
+      expect(err.errors).to.deep.equal([{
+        message: 'Variable "$id" has invalid value {}.\nExpected type "ID", found {}.',
+        locations: [{line: 1, column: 23}],
+        extensions: {code: 'VALIDATION_FAILED'}
+      }]);
     }).done();
   });
 
@@ -576,7 +680,23 @@ describe('Query', () => {
       return storage.query('{createPost(teststring:123)}');
     }).then(() => {
       throw new Error('Query passed');
-    }).catch(() => {});
+    }).catch(err => {
+      expect(err.status).to.equal(400);
+      expect(err.errors[0].message).to.equal('Argument "teststring" has invalid value 123.\nExpected type "String", found 123.');
+      expect(err.errors[0].locations).to.deep.equal([{line: 1, column: 24}]);
+    });
+  });
+
+  it('will return validation errors of variables on dry-run', () => {
+    return Promise.resolve().then(() => {
+      return storage.query('{createPost(teststring:$value)}', {value: 123});
+    }).then(() => {
+      throw new Error('Query passed');
+    }).catch(err => {
+      expect(err.status).to.equal(400);
+      expect(err.errors[0].message).to.equal('Variable "$value" has invalid value 123.\nExpected type "String", found 123.');
+      expect(err.errors[0].locations).to.deep.equal([{line: 1, column: 24}]);
+    });
   });
 
   it('will apply filter in list', () => {
@@ -658,6 +778,119 @@ describe('Query', () => {
     });
   });
 
+  it('will apply filter operators in list', () => {
+    const ids = {};
+    return Promise.resolve([20, 21, 22]).each(testint => {
+      const query = '{createPost(testint: $testint, teststring: "operators"){id}}';
+      return storage.query(query, {testint}).then(result => {
+        ids[testint] = result.createPost.id;
+      });
+    }).then(() => {
+      return storage.query(`{
+        a: listPost(teststring: "operators", testint_gt: 20, sort: "testint"){id}
+        b: listPost(teststring: "operators", testint_in: [20, 22], sort: "testint"){id}
+        c: listPost(teststring_contains: "perator", testint_lte: 20){id}
+        d: listPost(teststring: "operators", _or: [{testint: 20}, {testint_gte: 22}], sort: "!testint"){id}
+        e: countPost(teststring: "operators", testint_ne: 21)
+      }`);
+    }).then(result => {
+      expect(result.a).to.deep.equal([{id: ids[21]}, {id: ids[22]}]);
+      expect(result.b).to.deep.equal([{id: ids[20]}, {id: ids[22]}]);
+      expect(result.c).to.deep.equal([{id: ids[20]}]);
+      expect(result.d).to.deep.equal([{id: ids[22]}, {id: ids[20]}]);
+      expect(result.e).to.equal(2);
+    });
+  });
+
+  it('will reject filter operators on unsupported types', () => {
+    return expect(storage.query('{listPost(_or: [{testobject_gt: 1}]){id}}')).to.be.rejectedWith('Invalid filters');
+  });
+
+  it('will use compound indexes for filters and sorting', () => {
+    const ids = {};
+    return Promise.resolve([32, 30, 31]).each(testint => {
+      const query = '{createPost(indexed1: 30, testint: $testint){id}}';
+      return storage.query(query, {testint}).then(result => {
+        ids[testint] = result.createPost.id;
+      });
+    }).then(() => {
+      return storage.query('{createPost(indexed1: 31, testint: 30){id}}');
+    }).then(() => {
+      return storage.query(`{
+        a: listPost(indexed1: 30, sort: "testint"){id}
+        b: listPost(indexed1: 30, sort: "!testint"){id}
+        c: listPost(indexed1: 30, testint: 31){id}
+        d: countPost(indexed1: 30, testint_gt: 30)
+      }`);
+    }).then(result => {
+      expect(result.a).to.deep.equal([{id: ids[30]}, {id: ids[31]}, {id: ids[32]}]);
+      expect(result.b).to.deep.equal([{id: ids[32]}, {id: ids[31]}, {id: ids[30]}]);
+      expect(result.c).to.deep.equal([{id: ids[31]}]);
+      expect(result.d).to.equal(2);
+    });
+  });
+
+  it('will find items without the later fields of a compound index', () => {
+    let id;
+    return storage.query('{createPost(indexed1: 35){id}}').then(result => {
+      id = result.createPost.id;
+      return storage.query('{listPost(indexed1: 35, sort: "testint"){id}}');
+    }).then(result => {
+      expect(result.listPost).to.deep.equal([{id}]);
+    });
+  });
+
+  it('will paginate with cursors on fields with nulls', async () => {
+    const ids = [];
+    for (const testint of [null, 2, null]) {
+      const result = await storage.query('{createPost(indexed2: 77, testint: $testint){id}}', {testint});
+      ids.push(result.createPost.id);
+    }
+    const paginate = async sort => {
+      const query = '{posts: listPostConnection(indexed2: 77, first: 1, after: $after, sort: $sort){items{id} endCursor hasNextPage}}';
+      const output = [];
+      let after = null;
+      let hasNextPage = true;
+      while (hasNextPage) {
+        const result = await storage.query(query, {after, sort});
+        output.push(...result.posts.items.map(item => item.id));
+        after = result.posts.endCursor;
+        hasNextPage = result.posts.hasNextPage;
+      }
+      return output;
+    };
+    expect(await paginate('testint')).to.deep.equal([ids[1], ids[0], ids[2]]);
+    expect(await paginate('!testint')).to.deep.equal([ids[0], ids[2], ids[1]]);
+  });
+
+  it('will sort on multiple and nested fields', () => {
+    const ids = [];
+    const items = ['testint: 41, testobject: {n: 1}', 'testint: 40, testobject: {n: 1}', 'testint: 41, testobject: {n: 2}'];
+    return Promise.resolve(items).each(item => {
+      return storage.query(`{createPost(teststring: "sorting", ${item}){id}}`).then(result => {
+        ids.push(result.createPost.id);
+      });
+    }).then(() => {
+      return storage.query('{listPost(teststring: "sorting", sort: ["testint", "!testobject.n"]){id}}');
+    }).then(result => {
+      expect(result.listPost).to.deep.equal([{id: ids[1]}, {id: ids[2]}, {id: ids[0]}]);
+    });
+  });
+
+  it('will reject sorting on unknown fields', () => {
+    return expect(storage.query('{listPost(sort: "testint.x"){id}}')).to.be.rejectedWith('Invalid sort');
+  });
+
+  it('will plan queries on the best index', async () => {
+    const model = await storage.models.get('Post');
+    const indexes = model.indexes.map(index => index.name);
+    expect(indexes).to.include('indexed1__testint');
+    // Indexes only provide the order for required fields.
+    expect(model.getIndexPlan({indexed1: 1}, 'testint')).to.deep.include({prefix: 1, sorted: false});
+    expect(model.getIndexPlan({indexed1: 1, indexed2: 1}, 'created').index.name).to.equal('indexed1');
+    expect(model.getIndexPlan({testint: 1}, 'created')).to.equal(null);
+  });
+
   it.skip('allows postprocessors to act on method output before extre fields are fetched', () => {
     /**
      * Consider the query:
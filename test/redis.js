@@ -0,0 +1,154 @@
+/* eslint-env node, mocha */
+'use strict';
+
+const Bluebird = require('bluebird');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const Container = require('../classes/container');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('Redis', () => {
+  let container;
+  let storage;
+  let author;
+  let post;
+
+  before(async () => {
+    container = new Container();
+    await container.startup();
+
+    const config = await container.get('Config');
+    config.set({
+      storage: {
+        modelsDir: 'test/redis/models',
+        databases: {
+          internal: {
+            engine: 'redis',
+            host: 'localhost',
+            port: 6379,
+            prefix: `test${Date.now()}:`
+          }
+        }
+      }
+    });
+    storage = await container.get('Storage');
+  });
+
+  after(async () => {
+    await container.shutdown();
+  });
+
+  it('can create an item on the internal database', () => {
+    return storage.query('{createAuthor(name: "John") { id name }}').then(result => {
+      author = result.createAuthor;
+      expect(author.name).to.equal('John');
+    });
+  });
+
+  it('can read an item', () => {
+    const query = `{
+      createPost(title: "Test", status: "draft", rank: 3, meta: {x: 1}, author: $author) {
+        id
+      }
+    }`;
+    return storage.query(query, {author: author.id}).then(result => {
+      post = result.createPost;
+      return storage.query('{readPost(id: $id) { id title status rank meta author }}', {id: post.id});
+    }).then(result => {
+      expect(result.readPost).to.deep.equal({
+        id: post.id,
+        title: 'Test',
+        status: 'draft',
+        rank: 3,
+        meta: {x: 1},
+        author: author.id
+      });
+    });
+  });
+
+  it('can filter list on indexed and non-indexed fields', () => {
+    return storage.query('{createPost(title: "Second", status: "published", rank: 1) { id }}').then(() => {
+      return storage.query(`{
+        a: listPost(status: "draft") { id }
+        b: listPost(status: "draft", rank: 1) { id }
+        c: listPost(rank: 1) { title }
+      }`);
+    }).then(result => {
+      expect(result.a).to.deep.equal([{id: post.id}]);
+      expect(result.b).to.have.length(0);
+      expect(result.c).to.deep.equal([{title: 'Second'}]);
+    });
+  });
+
+  it('can sort and page list', () => {
+    return storage.query('{a: listPost(sort: "!rank") { rank } b: listPost(sort: "rank", offset: 1) { rank }}').then(result => {
+      expect(result.a).to.deep.equal([{rank: 3}, {rank: 1}]);
+      expect(result.b).to.deep.equal([{rank: 3}]);
+    });
+  });
+
+  it('can count items', () => {
+    return storage.query('{a: countPost b: countPost(status: "draft")}').then(result => {
+      expect(result.a).to.equal(2);
+      expect(result.b).to.equal(1);
+    });
+  });
+
+  it('can read reverse references', () => {
+    return storage.query('{readAuthor(id: $id) { posts { id } }}', {id: author.id}).then(result => {
+      expect(result.readAuthor.posts).to.deep.equal([{id: post.id}]);
+    });
+  });
+
+  it('updates indexes on update', () => {
+    return storage.query('{updatePost(id: $id, status: "published") { id title status }}', {id: post.id}).then(result => {
+      expect(result.updatePost.title).to.equal('Test');
+      expect(result.updatePost.status).to.equal('published');
+      return storage.query('{a: countPost(status: "draft") b: countPost(status: "published")}');
+    }).then(result => {
+      expect(result.a).to.equal(0);
+      expect(result.b).to.equal(2);
+    });
+  });
+
+  it('keeps concurrent updates on the same item', () => {
+    return Bluebird.all([
+      storage.query('{updatePost(id: $id, rank: 4) { id }}', {id: post.id}),
+      storage.query('{updatePost(id: $id, status: "draft") { id }}', {id: post.id})
+    ]).then(() => {
+      return storage.query('{a: readPost(id: $id) { status rank } b: countPost(status: "draft")}', {id: post.id});
+    }).then(result => {
+      expect(result.a).to.deep.equal({status: 'draft', rank: 4});
+      expect(result.b).to.equal(1);
+      return storage.query('{updatePost(id: $id, status: "published") { id }}', {id: post.id});
+    });
+  });
+
+  it('can delete item', () => {
+    return storage.query('{deletePost(id: $id) { id }}', {id: post.id}).then(() => {
+      return storage.query('{a: countPost b: readPost(id: $id) { id }}', {id: post.id});
+    }).then(result => {
+      expect(result.a).to.equal(1);
+      expect(result.b).to.equal(null);
+    });
+  });
+
+  it('expires items with a ttl', () => {
+    let id;
+    return storage.query('{createSession(token: "abc") { id }}').then(result => {
+      id = result.createSession.id;
+      return storage.query('{countSession(token: "abc")}');
+    }).then(result => {
+      expect(result.countSession).to.equal(1);
+      return Bluebird.delay(1500);
+    }).then(() => {
+      return storage.query('{a: countSession(token: "abc") b: readSession(id: $id) { id }}', {id});
+    }).then(result => {
+      expect(result.a).to.equal(0);
+      expect(result.b).to.equal(null);
+    });
+  });
+});
@@ -140,6 +140,26 @@ describe('References', () => {
     });
   });
 
+  it('can paginate reverse links with cursors', () => {
+    const query = `{
+      User(id:$userId) {
+        postsConnection (first: 1) {
+          items { id }
+          endCursor
+          hasNextPage
+          totalCount
+        }
+      }
+    }`;
+    const args = {userId};
+    return storage.query(query, args).then(result => {
+      expect(result.User.postsConnection.items).to.deep.equal([{id: postId}]);
+      expect(result.User.postsConnection.endCursor).to.be.a('string');
+      expect(result.User.postsConnection.hasNextPage).to.equal(false);
+      expect(result.User.postsConnection.totalCount).to.equal(1);
+    });
+  });
+
   it('can omit fieldnames in references', () => {
     const query = `{
       User(id:$userId) {
@@ -0,0 +1,222 @@
+/* eslint-env node, mocha */
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const graphql = require('graphql');
+
+const Container = require('../classes/container');
+const Context = require('../classes/context');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('Schema', () => {
+  let container;
+  let storage;
+
+  before(async () => {
+    container = new Container();
+    await container.startup();
+
+    const config = await container.get('Config');
+    config.set({
+      storage: {
+        modelsDir: 'test/memory/models',
+        limits: {
+          cost: 10000
+        },
+        databases: {
+          internal: {
+            engine: 'memory'
+          },
+          memory: {
+            engine: 'Memory'
+          }
+        }
+      }
+    });
+    storage = await container.get('Storage');
+  });
+
+  after(async () => {
+    await container.shutdown();
+  });
+
+  it('can introspect the schema', async () => {
+    const result = await storage.query(graphql.introspectionQuery);
+    const types = result.__schema.types.map(type => type.name);
+    expect(types).to.include.members(['Query', 'Post', 'Author', 'PostConnection', 'JSON']);
+    const schema = graphql.buildClientSchema(result);
+    const fields = schema.getQueryType().getFields();
+    expect(fields).to.include.keys(['readPost', 'listPost', 'listPostConnection', 'countPost', 'createPost', 'updatePost', 'upsertPost', 'deletePost']);
+    expect(String(fields.listPost.type)).to.equal('[Post]');
+    expect(fields.listPost.args.map(arg => arg.name)).to.include.members(['rank_gt', 'status_in', 'sort', 'limit']);
+  });
+
+  it('describes fields, references and plugin fields', async () => {
+    const result = await storage.query(`{
+      post: __type(name: "Post") { fields { name type { name kind ofType { name } } } }
+      author: __type(name: "Author") { fields { name type { name kind ofType { name } } } }
+    }`);
+    const field = (type, name) => type.fields.find(field => field.name === name).type;
+    expect(field(result.post, 'rank').name).to.equal('Int');
+    expect(field(result.post, 'tags').kind).to.equal('LIST');
+    expect(field(result.post, 'tags').ofType.name).to.equal('String');
+    expect(field(result.post, 'meta').name).to.equal('JSON');
+    expect(field(result.post, 'author').name).to.equal('Author');
+    expect(field(result.author, 'posts').kind).to.equal('LIST');
+    expect(field(result.author, 'posts').ofType.name).to.equal('Post');
+    expect(field(result.author, 'postsConnection').name).to.equal('PostConnection');
+  });
+
+  it('can combine introspection with other fields', async () => {
+    const result = await storage.query('{__typename countPost}');
+    expect(result).to.deep.equal({__typename: 'Query', countPost: 0});
+  });
+
+  it('rejects queries with unknown fields before execution', async () => {
+    const query = '{createAuthor(name: "Test") { id } listPost { id unknown }}';
+    const err = await storage.query(query).then(() => null, err => err);
+    expect(err.status).to.equal(400);
+    expect(err.errors).to.deep.equal([{
+      message: 'Cannot query field "unknown" on type "Post".',
+      locations: [{line: 1, column: 50}],
+      extensions: {code: 'VALIDATION_FAILED'}
+    }]);
+    expect(err).not.to.have.property('data');
+    const result = await storage.query('{countAuthor}');
+    expect(result.countAuthor).to.equal(0);
+  });
+
+  it('rejects selections on scalar fields', () => {
+    return expect(storage.query('{listPost { title { id } }}')).to.be.rejectedWith('must not have a selection');
+  });
+
+  it('rejects unknown arguments and literals of the wrong type', async () => {
+    const err = await storage.query('{listPost(unknown: 1) { id } countPost(title: 5)}').then(() => null, err => err);
+    expect(err.status).to.equal(400);
+    expect(err.errors.map(error => error.message)).to.deep.equal([
+      'Unknown argument "unknown" on field "listPost" of type "Query".',
+      'Argument "title" has invalid value 5.\nExpected type "String", found 5.'
+    ]);
+  });
+
+  it('allows reference fields without selection', () => {
+    return expect(storage.query('{listPost { id author }}')).to.eventually.deep.equal({listPost: []});
+  });
+
+  it('can execute documents with fragments and directives', async () => {
+    const created = await storage.query('mutation { createAuthor(name: "Fragments") { id } }');
+    const id = created.createAuthor.id;
+    const query = `
+      query ($id: ID, $withName: Boolean = true, $skipId: Boolean = false) {
+        readAuthor(id: $id) {
+          ...AuthorFields
+          ... on Author { name @include(if: $withName) }
+          id @skip(if: $skipId)
+        }
+      }
+      fragment AuthorFields on Author { __typename id }
+    `;
+    const full = await storage.query(query, {id});
+    expect(full.readAuthor).to.deep.equal({__typename: 'Author', id, name: 'Fragments'});
+    const partial = await storage.query(query, {id, withName: false, skipId: true});
+    // The id is still selected in the fragment.
+    expect(partial.readAuthor).to.deep.equal({__typename: 'Author', id});
+    await storage.query('{deleteAuthor(id: $id)}', {id});
+  });
+
+  it('selects the operation by name', async () => {
+    const query = 'query Authors { countAuthor } query Posts { countPost }';
+    expect(await storage.query(query, undefined, {}, 'Posts')).to.deep.equal({countPost: 0});
+    expect(() => storage.query(query)).to.throw('Must provide operation name');
+    expect(() => storage.query(query, undefined, {}, 'Unknown')).to.throw('Unknown operation named "Unknown"');
+  });
+
+  it('passes variables nested in lists and objects', async () => {
+    const query = '{listPost(_or: [{rank: $rank}, {status_in: [$status]}]) { id }}';
+    const created = await storage.query('{createPost(title: "Nested", status: "draft", rank: 2) { id }}');
+    const id = created.createPost.id;
+    const a = await storage.query(query, {rank: 2, status: 'none'});
+    const b = await storage.query(query, {rank: 3, status: 'draft'});
+    const c = await storage.query(query, {rank: 3, status: 'none'});
+    await storage.query('{deletePost(id: $id)}', {id});
+    expect(a.listPost).to.deep.equal([{id}]);
+    expect(b.listPost).to.deep.equal([{id}]);
+    expect(c.listPost).to.deep.equal([]);
+  });
+
+  it('only allows mutation fields in mutations', () => {
+    return expect(storage.query('mutation { countPost }')).to.be.rejectedWith('Cannot query field "countPost" on type "Mutation"');
+  });
+
+  it('rejects subscription operations in queries', () => {
+    return expect(storage.query('subscription { listPost { id } }')).to.be.rejectedWith('can only be used in subscriptions');
+  });
+
+  it('returns errors with the data of other fields', async () => {
+    const context = new Context();
+    context.setUser({id: 'someone'});
+    const query = '{a: __typename b: createPost(title: "Test", author: "other") { id } c: createAuthor(name: $name) { id }}';
+    const err = await storage.query(query, context, {name: 'x'.repeat(256)}).then(() => null, err => err);
+    expect(err.status).to.equal(403);
+    expect(err.data).to.deep.equal({a: 'Query', b: null, c: null});
+    expect(err.errors).to.deep.equal([{
+      message: 'Permission denied on "createPost"',
+      locations: [{line: 1, column: 16}],
+      path: ['b'],
+      extensions: {code: 'FORBIDDEN'}
+    }, {
+      message: 'Field "name" has longer length than allowed',
+      locations: [{line: 1, column: 69}],
+      path: ['c'],
+      extensions: {code: 'VALIDATION_FAILED'}
+    }]);
+  });
+
+  it('adds the path of nested fields to errors and only fails these fields', async () => {
+    const created = await storage.query('{createAuthor(name: "Nested") { id }}');
+    const id = created.createAuthor.id;
+    const query = `{
+      author: readAuthor(id: $id) {
+        postsConnection(first: 0) { items { id } }
+      }
+    }`;
+    const err = await storage.query(query, {id}).then(() => null, err => err);
+    await storage.query('{deleteAuthor(id: $id)}', {id});
+    expect(err.partial).to.equal(true);
+    expect(err.data).to.deep.equal({author: {postsConnection: null}});
+    expect(err.errors).to.deep.equal([{
+      message: 'Parameter "first" must be a positive integer',
+      locations: [{line: 3, column: 9}],
+      path: ['author', 'postsConnection'],
+      extensions: {code: 'VALIDATION_FAILED'}
+    }]);
+  });
+
+  it('rejects queries that exceed the depth limit', () => {
+    const query = `{listAuthor(limit: 1) { posts(limit: 1) { author { posts(limit: 1) { author { posts(limit: 1) {
+      author { posts(limit: 1) { author { posts(limit: 1) { author { id } } } } } } } } } } }}`;
+    return expect(storage.query(query)).to.be.rejectedWith('Query depth of 12 exceeds the maximum depth of 10');
+  });
+
+  it('rejects lists that exceed the list limit', async () => {
+    const err = await storage.query('{listPost(limit: $limit) { id }}', {limit: 5000}).then(() => null, err => err);
+    expect(err.status).to.equal(400);
+    expect(err.errors).to.deep.equal([{
+      message: 'Parameter "limit" of "listPost" exceeds the maximum list limit of 1000 for Post',
+      locations: [{line: 1, column: 2}],
+      extensions: {code: 'VALIDATION_FAILED'}
+    }]);
+    // The limit for authors is set in the model.
+    await expect(storage.query('{listAuthorConnection(first: 51) { items { id } }}')).to.be.rejectedWith('maximum list limit of 50 for Author');
+    await expect(storage.query('{listAuthor(limit: 50) { id }}')).to.be.fulfilled;
+  });
+
+  it('rejects queries that exceed the cost limit', () => {
+    // Reverse references list 100 items by default.
+    const query = '{listAuthor(limit: 50) { posts { author { name } } } listPost(limit: 1000) { title }}';
+    return expect(storage.query(query)).to.be.rejectedWith('Query cost of 11050 exceeds the maximum cost of 10000');
+  });
+});
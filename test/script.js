@@ -1247,6 +1247,13 @@ describe.only('Script', () => {
     });
   });
 
+  it('can sort data from the Script engine', () => {
+    return query('{listWebsiteItem(sort: "!name") { name }}').then(result => {
+      const names = result.listWebsiteItem.map(item => item.name);
+      expect(names).to.deep.equal(_.clone(names).sort().reverse());
+    });
+  });
+
   it('can read config', () => {
     const script = new Script({
       name: 'Testscript',
@@ -0,0 +1,158 @@
+/* eslint-env node, mocha */
+'use strict';
+
+const Http = require('http');
+
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const Container = require('../classes/container');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+describe('Subscriptions', () => {
+  let container;
+  let storage;
+  let application;
+  const uri = 'http://localhost:10024';
+
+  // Open a subscription and collect the received events.
+  const subscribe = query => {
+    return new Bluebird((resolve, reject) => {
+      const request = Http.get(uri + '/subscriptions?q=' + encodeURIComponent(query), response => {
+        const subscription = {
+          status: response.statusCode,
+          headers: response.headers,
+          events: [],
+          body: '',
+          close() {
+            request.abort();
+          }
+        };
+        let buffer = '';
+        response.on('data', chunk => {
+          subscription.body += chunk.toString();
+          buffer += chunk.toString();
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          messages.forEach(message => {
+            const type = message.match(/^event: (.+)$/m);
+            const data = message.match(/^data: (.+)$/m);
+            if (type && data) {
+              subscription.events.push(_.assign({type: type[1]}, JSON.parse(data[1])));
+            }
+          });
+        });
+        response.on('end', () => {
+          subscription.ended = true;
+        });
+        resolve(subscription);
+      });
+      request.on('error', reject);
+    });
+  };
+
+  before(async () => {
+    container = new Container();
+    await container.startup();
+
+    const config = await container.get('Config');
+    config.set({
+      port: 10024,
+      storage: {
+        modelsDir: 'test/subscriptions/models',
+        databases: {
+          internal: {
+            engine: 'redis',
+            host: 'localhost',
+            port: 6379,
+            prefix: ''
+          },
+          rethink: {
+            engine: 'RethinkDB',
+            host: 'localhost',
+            port: 28015,
+            name: 'test'
+          }
+        }
+      }
+    });
+    storage = await container.get('Storage');
+    application = await container.get('Application');
+  });
+
+  after(async () => {
+    await container.shutdown();
+  });
+
+  it('pushes created, updated and removed items', async () => {
+    const subscription = await subscribe('{listArticle(category: "news") { id title }}');
+    expect(subscription.status).to.equal(200);
+    expect(subscription.headers['content-type']).to.contain('text/event-stream');
+
+    const result = await storage.query('{createArticle(title: "First", category: "news", published: true) { id }}');
+    const id = result.createArticle.id;
+    await storage.query('{createArticle(title: "Other", category: "sports", published: true) { id }}');
+    await Bluebird.delay(100);
+    await storage.query('{updateArticle(id: $id, title: "Changed") { id }}', {id});
+    await Bluebird.delay(100);
+    await storage.query('{updateArticle(id: $id, category: "sports") { id }}', {id});
+    await Bluebird.delay(100);
+    subscription.close();
+
+    expect(subscription.events).to.deep.equal([{
+      type: 'create',
+      data: {listArticle: {id, title: 'First'}}
+    }, {
+      type: 'update',
+      data: {listArticle: {id, title: 'Changed'}}
+    }, {
+      type: 'remove',
+      data: {listArticle: {id}}
+    }]);
+  });
+
+  it('applies access rules to pushed items', async () => {
+    const subscription = await subscribe('{listArticle(category: "blog") { id title }}');
+
+    const result = await storage.query('{createArticle(title: "Draft", category: "blog") { id }}');
+    const id = result.createArticle.id;
+    await Bluebird.delay(100);
+    expect(subscription.events).to.have.length(0);
+
+    await storage.query('{updateArticle(id: $id, published: true) { id }}', {id});
+    await Bluebird.delay(100);
+    expect(subscription.events).to.deep.equal([{
+      type: 'update',
+      data: {listArticle: {id, title: 'Draft'}}
+    }]);
+    subscription.close();
+  });
+
+  it('does not push items with inaccessible fields', async () => {
+    const subscription = await subscribe('{listArticle(category: "secret") { id secret }}');
+    await storage.query('{createArticle(title: "Secret", category: "secret", published: true, secret: "x") { id }}');
+    await Bluebird.delay(100);
+    expect(subscription.events).to.have.length(0);
+    subscription.close();
+  });
+
+  it('closes subscriptions when the client disconnects', async () => {
+    const subscription = await subscribe('{listArticle { id }}');
+    const streams = application.instances.subscriptions.streams;
+    expect(streams.size).to.be.above(0);
+    subscription.close();
+    await Bluebird.delay(100);
+    expect(streams.size).to.equal(0);
+  });
+
+  it('only accepts a single list operation', async () => {
+    const subscription = await subscribe('{countArticle}');
+    expect(subscription.status).to.equal(400);
+    await Bluebird.delay(50);
+    expect(subscription.body).to.contain('Subscriptions must contain a single list operation');
+  });
+});